@@ -0,0 +1,34 @@
+// activity.js - Content script that tells the background engine the page is in use
+//
+// Scrolling, typing, pointer use and playing media all count. Reports carry
+// nothing about the page, are throttled to one per reportInterval, and are
+// only sent while the page is visible.
+
+(() => {
+    const reportInterval = 5000; // ms, one coin tick
+
+    let lastReport = 0;
+
+    const report = () => {
+        if (document.visibilityState !== 'visible') return;
+
+        const now = Date.now();
+        if (now - lastReport < reportInterval) return;
+        lastReport = now;
+
+        chrome.runtime.sendMessage({ action: 'pageActivity' }).catch(() => {
+            // Extension reloaded underneath the page; nothing to report to
+        });
+    };
+
+    ['scroll', 'wheel', 'keydown', 'pointerdown', 'pointermove', 'touchstart'].forEach(type => {
+        document.addEventListener(type, report, { capture: true, passive: true });
+    });
+
+    // Watching a lecture counts too; media events don't bubble, so capture them
+    document.addEventListener('timeupdate', report, true);
+    document.addEventListener('visibilitychange', report);
+
+    // Also lets the engine know this tab reports activity at all
+    report();
+})();
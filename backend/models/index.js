@@ -1,22 +1,80 @@
 // models/index.js - Database schemas
 const mongoose = require('mongoose');
 
+// Heartbeat actions that represent time spent on a site
+const ACTIVITY_ACTIONS = ['visit', 'focus', 'distract'];
+
+// Site classification rule, same format as the extension's rules.js
+const SITE_RULE_MATCH_TYPES = ['exact', 'subdomain', 'path', 'glob', 'regex'];
+const siteRuleSchema = new mongoose.Schema({
+  pattern: { type: String, required: true },
+  match: { type: String, enum: SITE_RULE_MATCH_TYPES, default: 'subdomain' },
+  type: { type: String, enum: ['productive', 'distracting', 'neutral'], required: true },
+  priority: { type: Number, default: 0 }
+}, { _id: false });
+
+// Recurring focus window, same format as the extension's schedules.js
+const scheduleSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  days: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+  start: { type: String, required: true }, // local HH:MM
+  end: { type: String, required: true }, // local HH:MM, at or before start runs past midnight
+  enabled: { type: Boolean, default: true }
+}, { _id: false });
+
+// Daily minute allowance, same format as the extension's budgets.js: a
+// pattern or an economy category
+const budgetSchema = new mongoose.Schema({
+  pattern: String,
+  category: String,
+  minutes: { type: Number, required: true, min: 0, max: 24 * 60 }
+}, { _id: false });
+
 // User Schema
 const userSchema = new mongoose.Schema({
   uuid: { type: String, unique: true, required: true },
   googleId: { type: String, unique: true, sparse: true },
   email: { type: String, sparse: true },
+  // Google profile, set while an account is linked
+  name: String,
+  picture: String,
   settings: {
     productiveSites: [String],
     distractingSites: [String],
+    neutralSites: [String], // exceptions carved out of the other two lists
+    // What is kept about visited sites, enforced by services/privacy.js
+    privacyLevel: { type: String, enum: ['full', 'host', 'hashed'], default: 'host' },
+    siteRules: [siteRuleSchema],
+    schedules: [scheduleSchema],
+    // 'budget' spends daily minute allowances on distracting sites instead of coins
+    distractionMode: { type: String, enum: ['coins', 'budget'], default: 'coins' },
+    distractionBudgets: [budgetSchema],
+    budgetDefaultMinutes: { type: Number, default: 15 }, // per host without a budget of its own
+    economy: {
+      // Per-user base rates; weights and caps come from services/economy.js
+      earnRate: Number,
+      drainRate: Number
+    },
     private: { type: Boolean, default: false }
   },
   stats: {
     totalFocusTime: { type: Number, default: 0 },
     totalCoins: { type: Number, default: 0 },
     currentStreak: { type: Number, default: 0 },
-    bestStreak: { type: Number, default: 0 }
+    bestStreak: { type: Number, default: 0 },
+    // Highest level reached; spending coins can lower the level, but only
+    // passing this again counts as a level-up
+    level: { type: Number, default: 1 }
   },
+  privacySalt: { type: String, select: false }, // for hashing sites that arrive unhashed
+  badges: [{
+    badgeId: String,
+    name: String,
+    description: String,
+    icon: String,
+    dateEarned: Date
+  }],
+  badgesCheckedAt: Date, // last badge check from heartbeat sync, see routes/sessions.js
   createdAt: { type: Date, default: Date.now },
   lastActive: { type: Date, default: Date.now }
 });
@@ -24,16 +82,83 @@ const userSchema = new mongoose.Schema({
 // Heartbeat Schema (raw logs)
 const heartbeatSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  clientId: String, // generated by the extension, used to drop retried duplicates
   sessionId: { type: String, required: true },
   timestamp: { type: Date, required: true },
-  site: { type: String, required: true },
-  siteType: { type: String, enum: ['productive', 'distracting', 'neutral'], required: true },
-  action: { type: String, enum: ['visit', 'focus', 'distract'], required: true },
+  // The user's local calendar day (YYYY-MM-DD) the heartbeat falls on, so
+  // DailyStats and streaks follow their midnight; older heartbeats lack it
+  localDay: String,
+  duration: Number, // ms of activity covered by this heartbeat
+  // Event heartbeats (e.g. idle gaps) aren't tied to a site
+  site: { type: String, required: function() { return ACTIVITY_ACTIONS.includes(this.action); } },
+  siteType: { type: String, enum: ['productive', 'distracting', 'neutral'], default: 'neutral' },
+  action: { type: String, enum: [...ACTIVITY_ACTIONS, 'idle', 'pomodoro', 'purchase', 'commitment_break', 'pause'], required: true },
   coinsChange: { type: Number, default: 0 },
+  // Set when the balance couldn't cover a spend and only part of coinsChange was applied
+  coinsApplied: Number,
   metadata: {
     tabId: Number,
     windowId: Number,
-    url: String
+    url: String,
+    idleState: { type: String, enum: ['idle', 'locked', 'suspended'] },
+    idleDuration: Number, // ms
+    pomodoroPhase: { type: String, enum: ['work', 'shortBreak', 'longBreak'] },
+    pomodoroCount: Number, // completed pomodoros in the session so far
+    sessionSource: { type: String, enum: ['manual', 'scheduled'] },
+    scheduleId: String, // schedule that started the session
+    unlockMinutes: Number, // length of a purchased unlock
+    commitmentMinutes: Number, // length of the lock a commitment_break ended early
+    lockRemaining: Number, // ms of the lock left when it was broken
+    // Mindful pause: what the user chose, the reason they gave and how long they waited (ms)
+    pauseChoice: { type: String, enum: ['continue', 'leave'] },
+    pauseReason: { type: String, maxlength: 200 },
+    pauseWaited: Number,
+    rate: Number, // base earn or drain rate applied, coins per 5 seconds
+    multiplier: Number, // site or category weight applied on top of the rate
+    category: String, // economy category the site fell into
+    capped: Boolean, // earning was cut short by a daily cap
+    engagement: Number, // 0-1 share of the duration the page was actually in use
+    // Budget mode: the allowance the time came out of ('site:<pattern>',
+    // 'category:<name>', or 'default' for a host's own allowance) and its size.
+    // The pattern is scrubbed to the privacy level like site.
+    budgetKey: String,
+    budgetMinutes: Number
+  }
+}, {
+  timestamps: true
+});
+
+// Session Schema (one per focus session, with its goal outcome)
+const SESSION_GOAL_TYPES = ['duration', 'coins', 'maxDistracting'];
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  sessionId: { type: String, required: true },
+  source: { type: String, enum: ['manual', 'scheduled'], default: 'manual' },
+  scheduleId: String,
+  startedAt: { type: Date, required: true },
+  endedAt: Date,
+  goal: {
+    type: { type: String, enum: SESSION_GOAL_TYPES },
+    target: Number // minutes, or coins for a coin goal
+  },
+  goalMet: Boolean, // unset while running or when there was no goal
+  // Set when the session was started locked
+  commitment: {
+    minutes: Number,
+    broken: Boolean // stopped before the lock ended
+  },
+  summary: {
+    duration: Number, // seconds
+    productiveTime: Number, // seconds
+    distractingTime: Number, // seconds
+    coinsEarned: Number,
+    coinsLost: Number,
+    topSites: [{
+      site: String,
+      timeSpent: Number, // seconds
+      coinsChange: Number,
+      type: { type: String }
+    }]
   }
 }, {
   timestamps: true
@@ -42,20 +167,44 @@ const heartbeatSchema = new mongoose.Schema({
 // Daily Stats Schema (aggregated data)
 const dailyStatsSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  date: { type: String, required: true }, // YYYY-MM-DD format
+  date: { type: String, required: true }, // YYYY-MM-DD, the user's local day
   stats: {
     totalFocusTime: { type: Number, default: 0 },
     coinsEarned: { type: Number, default: 0 },
     coinsSpent: { type: Number, default: 0 },
     productiveTime: { type: Number, default: 0 },
     distractingTime: { type: Number, default: 0 },
-    sessionsCount: { type: Number, default: 0 }
+    sessionsCount: { type: Number, default: 0 },
+    pomodorosCompleted: { type: Number, default: 0 },
+    scheduledFocusTime: { type: Number, default: 0 }, // productive seconds in scheduled sessions
+    unlocksPurchased: { type: Number, default: 0 },
+    commitmentBreaks: { type: Number, default: 0 },
+    // Mindful pauses answered, and how many of them ended with the user leaving
+    pauses: { type: Number, default: 0 },
+    pausesLeft: { type: Number, default: 0 },
+    // productiveTime split by whether the page was being used or just open
+    activeProductiveTime: { type: Number, default: 0 },
+    passiveProductiveTime: { type: Number, default: 0 }
   },
   siteBreakdown: [{
     site: String,
     timeSpent: Number,
     coinsChange: Number,
-    type: String
+    type: String,
+    category: String
+  }],
+  // Latest reasons given at a mindful pause
+  pauseReasons: [{
+    site: String,
+    reason: String,
+    choice: String,
+    timestamp: Date
+  }],
+  // Time spent against each distraction budget in budget mode
+  budgetUsage: [{
+    key: String, // 'site:<pattern or host>' or 'category:<name>'
+    minutes: Number, // allowance for the day
+    usedTime: Number // seconds
   }],
   updatedAt: { type: Date, default: Date.now }
 });
@@ -63,10 +212,21 @@ const dailyStatsSchema = new mongoose.Schema({
 // Create compound index for efficient queries
 dailyStatsSchema.index({ userId: 1, date: 1 }, { unique: true });
 heartbeatSchema.index({ userId: 1, timestamp: -1 });
+heartbeatSchema.index({ userId: 1, localDay: 1 });
+sessionSchema.index({ userId: 1, sessionId: 1 }, { unique: true });
+sessionSchema.index({ userId: 1, startedAt: -1 });
+heartbeatSchema.index(
+  { userId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $exists: true } } }
+);
 
 // Export models
 const User = mongoose.model('User', userSchema);
 const Heartbeat = mongoose.model('Heartbeat', heartbeatSchema);
 const DailyStats = mongoose.model('DailyStats', dailyStatsSchema);
+const Session = mongoose.model('Session', sessionSchema);
 
-module.exports = { User, Heartbeat, DailyStats };
\ No newline at end of file
+module.exports = {
+  User, Heartbeat, DailyStats, Session,
+  ACTIVITY_ACTIONS, SITE_RULE_MATCH_TYPES, SESSION_GOAL_TYPES
+};
\ No newline at end of file
@@ -1,11 +1,10 @@
 // routes/auth.js - Google OAuth authentication
 const express = require('express');
-const { OAuth2Client } = require('google-auth-library');
-const { User, Heartbeat, DailyStats } = require('../models');
+const crypto = require('crypto');
+const { User } = require('../models');
+const tokenVerifier = require('../services/tokenVerifier');
 const router = express.Router();
 
-const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
-
 // POST /api/auth/google - Verify Google token and login/register
 router.post('/google', async (req, res) => {
   try {
@@ -16,12 +15,7 @@ router.post('/google', async (req, res) => {
     }
 
     // Verify the Google ID token
-    const ticket = await client.verifyIdToken({
-      idToken: idToken,
-      audience: process.env.GOOGLE_CLIENT_ID,
-    });
-    
-    const payload = ticket.getPayload();
+    const payload = await tokenVerifier.verify(idToken);
     const googleId = payload.sub;
     const email = payload.email;
     const name = payload.name;
@@ -57,7 +51,7 @@ router.post('/google', async (req, res) => {
 
     if (uuidUser) {
       // Migrate existing UUID account to Google account
-      await this.migrateUUIDToGoogle(uuidUser, googleId, email, name, picture);
+      await router.migrateUUIDToGoogle(uuidUser, googleId, email, name, picture);
       
       return res.json({
         success: true,
@@ -140,12 +134,7 @@ router.post('/link-google', async (req, res) => {
     }
 
     // Verify Google token
-    const ticket = await client.verifyIdToken({
-      idToken: idToken,
-      audience: process.env.GOOGLE_CLIENT_ID,
-    });
-    
-    const payload = ticket.getPayload();
+    const payload = await tokenVerifier.verify(idToken);
     const googleId = payload.sub;
     const email = payload.email;
     const name = payload.name;
@@ -155,7 +144,8 @@ router.post('/link-google', async (req, res) => {
     const existingGoogleUser = await User.findOne({ googleId });
     if (existingGoogleUser) {
       return res.status(400).json({ 
-        error: 'This Google account is already linked to another Focus Coin account' 
+        error: 'This Google account is already linked to another Focus Coin account',
+        code: 'already_linked'
       });
     }
 
@@ -241,6 +231,12 @@ router.post('/unlink-google', async (req, res) => {
   }
 });
 
+// GET /api/auth/config - The OAuth client the extension should sign in
+// with; tokens issued to any other client fail the audience check
+router.get('/config', (req, res) => {
+  res.json({ googleClientId: process.env.GOOGLE_CLIENT_ID || null });
+});
+
 // GET /api/auth/profile/:uuid - Get user profile (authenticated or not)
 router.get('/profile/:uuid', async (req, res) => {
   try {
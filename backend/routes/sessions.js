@@ -1,6 +1,9 @@
 // routes/sessions.js - Session management API
 const express = require('express');
-const { User, Heartbeat } = require('../models');
+const { User, Heartbeat, DailyStats, Session, SESSION_GOAL_TYPES } = require('../models');
+const BadgeSystem = require('../services/badges');
+const LevelSystem = require('../services/levels');
+const PrivacyService = require('../services/privacy');
 const router = express.Router();
 
 // Middleware to get or create user
@@ -15,6 +18,7 @@ const getOrCreateUser = async (req, res, next) => {
     if (!user) {
       user = new User({ 
         uuid,
+        stats: { totalCoins: 10 }, // Starting coins, same as the extension
         settings: {
           productiveSites: [
             'github.com', 'stackoverflow.com', 'wikipedia.org', 
@@ -36,15 +40,190 @@ const getOrCreateUser = async (req, res, next) => {
   }
 };
 
+// Goals arrive from the extension as { type, target }; anything else means no goal
+const cleanGoal = (goal) => {
+  if (!goal || !SESSION_GOAL_TYPES.includes(goal.type)) return undefined;
+
+  const target = Number(goal.target);
+  return Number.isFinite(target) && target >= 0 ? { type: goal.type, target } : undefined;
+};
+
+// A commitment lock arrives as { minutes }; no minutes means the session wasn't locked
+const cleanCommitment = (commitment) => {
+  const minutes = Number(commitment?.minutes);
+  return Number.isFinite(minutes) && minutes > 0 ? { minutes } : undefined;
+};
+
+// Coin changes settle as one ledger per user in (timestamp, clientId) order,
+// across batches: a batch holding heartbeats older than ones already settled
+// replays everything from its earliest heartbeat on. A spend the balance
+// can't cover is clamped at zero, so devices replaying the same offline
+// spends reach the same balance and clamps whichever of them syncs first.
+// Balance changes outside the ledger (powerup purchases) count as coming
+// before the replayed stretch.
+const byLedgerOrder = (a, b) =>
+  (new Date(a.timestamp) - new Date(b.timestamp)) ||
+  String(a.clientId || '').localeCompare(String(b.clientId || ''));
+
+// Replays ledger entries from the balance they started on: the current
+// balance minus what the already-settled entries applied. fresh holds the
+// ids of entries that have never been applied.
+const applyCoinChanges = (balance, ledger, fresh) => {
+  const settled = ledger
+    .filter(hb => !fresh.has(String(hb._id)))
+    .reduce((sum, hb) => sum + (hb.coinsApplied ?? hb.coinsChange), 0);
+
+  let running = Math.max(0, balance - settled);
+  const applied = new Map();
+  for (const hb of [...ledger].sort(byLedgerOrder)) {
+    const next = Math.max(0, running + hb.coinsChange);
+    applied.set(String(hb._id), next - running);
+    running = next;
+  }
+
+  return { balance: running, applied };
+};
+
+// Settlements for one user run one at a time, so each replays the ledger
+// the previous one left behind
+const settling = new Map();
+const withSettlementLock = (userId, fn) => {
+  const key = String(userId);
+  const run = (settling.get(key) || Promise.resolve()).then(fn, fn);
+  const tail = run.catch(() => {});
+  settling.set(key, tail);
+  tail.then(() => {
+    if (settling.get(key) === tail) settling.delete(key);
+  });
+  return run;
+};
+
+// Settles freshly inserted heartbeats into the user's ledger. Returns the
+// balance before and after, or null if the balance kept changing underneath.
+const settleHeartbeats = (user, inserted) => withSettlementLock(user._id, async () => {
+  const coinBearing = inserted.filter(hb => hb.coinsChange);
+  let balance = (await User.findById(user._id).select('stats.totalCoins')).stats.totalCoins;
+  if (coinBearing.length === 0) return { previousBalance: balance, balance };
+
+  const earliest = new Date(Math.min(...coinBearing.map(hb => hb.timestamp.getTime())));
+  const ledger = await Heartbeat.find({
+    userId: user._id,
+    timestamp: { $gte: earliest },
+    coinsChange: { $ne: 0 }
+  }).select('timestamp clientId coinsChange coinsApplied').lean();
+  const fresh = new Set(coinBearing.map(hb => String(hb._id)));
+
+  // If something else changed the balance in the meantime (a powerup
+  // purchase), re-read and redo
+  let result = null;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    result = applyCoinChanges(balance, ledger, fresh);
+    if (result.balance === balance) break;
+
+    const update = await User.updateOne(
+      { _id: user._id, 'stats.totalCoins': balance },
+      { $set: { 'stats.totalCoins': result.balance } }
+    );
+    if (update.modifiedCount === 1) break;
+
+    const latest = await User.findById(user._id).select('stats.totalCoins');
+    balance = latest.stats.totalCoins;
+    result = null;
+  }
+  if (!result) return null;
+
+  // Only clamped spends keep a record of what was actually applied
+  const changed = ledger.filter(hb => {
+    const applied = result.applied.get(String(hb._id));
+    const recorded = fresh.has(String(hb._id)) ? hb.coinsChange : (hb.coinsApplied ?? hb.coinsChange);
+    return applied !== recorded;
+  });
+  if (changed.length > 0) {
+    await Heartbeat.bulkWrite(changed.map(hb => {
+      const applied = result.applied.get(String(hb._id));
+      return {
+        updateOne: {
+          filter: { _id: hb._id },
+          update: applied === hb.coinsChange ? { $unset: { coinsApplied: '' } } : { $set: { coinsApplied: applied } }
+        }
+      };
+    }));
+  }
+
+  return { previousBalance: balance, balance: result.balance };
+});
+
+// The client's local day for a heartbeat, or undefined when it's malformed
+// or further from the UTC date than any timezone can be
+const cleanLocalDay = (localDay, timestamp) => {
+  if (typeof localDay !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(localDay)) return undefined;
+  const offset = Date.parse(localDay) - Date.parse(timestamp.toISOString().split('T')[0]);
+  return Math.abs(offset) <= 24 * 60 * 60 * 1000 ? localDay : undefined;
+};
+
+// Badge checks read every DailyStats and a month of heartbeats, far too much
+// for each synced batch, so a user gets at most one per interval
+const BADGE_CHECK_INTERVAL = 5 * 60 * 1000;
+
+// Achievements unlocked by a synced batch, returned so the extension can
+// notify about them: [{ type: 'badge', badge }, { type: 'levelUp', level }]
+const collectAchievements = async (user, previousBalance, balance) => {
+  const events = [];
+
+  // Users from before level tracking start at whatever level they were on
+  const reached = Math.max(user.stats.level || 1, LevelSystem.calculateLevel(previousBalance));
+  const level = LevelSystem.calculateLevel(balance);
+  if (level > reached) {
+    await User.updateOne({ _id: user._id }, { $max: { 'stats.level': level } });
+    events.push({ type: 'levelUp', level });
+  }
+
+  // Claiming the slot atomically keeps concurrent batches from both checking
+  const now = new Date();
+  const claim = await User.updateOne({
+    _id: user._id,
+    $or: [
+      { badgesCheckedAt: { $exists: false } },
+      { badgesCheckedAt: { $lte: new Date(now - BADGE_CHECK_INTERVAL) } }
+    ]
+  }, { $set: { badgesCheckedAt: now } });
+
+  if (claim.modifiedCount > 0) {
+    const badges = await BadgeSystem.checkAndAwardBadges(user._id);
+    badges.forEach(badge => events.push({ type: 'badge', badge }));
+  }
+
+  return events;
+};
+
 // POST /api/sessions/start
 router.post('/start', getOrCreateUser, async (req, res) => {
   try {
-    const { sessionId, timestamp } = req.body;
+    const { sessionId, timestamp, source, scheduleId, goal, commitment } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'sessionId required' });
+    }
     
     // Update user's last active
     req.user.lastActive = new Date();
     await req.user.save();
 
+    // Retried starts leave the original record alone
+    await Session.findOneAndUpdate(
+      { userId: req.user._id, sessionId },
+      {
+        $setOnInsert: {
+          startedAt: new Date(timestamp || Date.now()),
+          source: source === 'scheduled' ? 'scheduled' : 'manual',
+          scheduleId,
+          goal: cleanGoal(goal),
+          commitment: cleanCommitment(commitment)
+        }
+      },
+      { upsert: true }
+    );
+
     res.json({
       success: true,
       sessionId,
@@ -59,14 +238,60 @@ router.post('/start', getOrCreateUser, async (req, res) => {
 // POST /api/sessions/stop
 router.post('/stop', getOrCreateUser, async (req, res) => {
   try {
-    const { sessionId } = req.body;
-    
-    // Could add session cleanup logic here
+    const { sessionId, summary } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'sessionId required' });
+    }
+
+    const seconds = (ms) => Math.max(0, Math.round((Number(ms) || 0) / 1000));
+    const privacy = await PrivacyService.scrubberFor(req.user);
+    const update = { endedAt: new Date(summary?.endedAt || Date.now()) };
+
+    if (summary) {
+      const goal = cleanGoal(summary.goal);
+      update.summary = {
+        duration: seconds(summary.durationMs),
+        productiveTime: seconds(summary.productiveMs),
+        distractingTime: seconds(summary.distractingMs),
+        coinsEarned: Number(summary.coinsEarned) || 0,
+        coinsLost: Number(summary.coinsLost) || 0,
+        topSites: (Array.isArray(summary.topSites) ? summary.topSites : []).slice(0, 10).map(site => ({
+          site: privacy.site(String(site.site)),
+          timeSpent: seconds(site.ms),
+          coinsChange: Number(site.coins) || 0,
+          type: site.type
+        }))
+      };
+      if (goal) {
+        update.goal = goal;
+        update.goalMet = !!summary.goalMet;
+      }
+
+      const commitment = cleanCommitment(summary.commitment);
+      if (commitment) {
+        update.commitment = { ...commitment, broken: !!summary.commitment.broken };
+      }
+    }
+
+    // The start may never have reached us if the session began offline
+    const session = await Session.findOneAndUpdate(
+      { userId: req.user._id, sessionId },
+      {
+        $set: update,
+        $setOnInsert: {
+          startedAt: new Date(summary?.startedAt || Date.now()),
+          source: summary?.source === 'scheduled' ? 'scheduled' : 'manual'
+        }
+      },
+      { upsert: true, new: true }
+    );
     
     res.json({
       success: true,
       sessionId,
-      stoppedAt: Date.now()
+      stoppedAt: session.endedAt.getTime(),
+      goalMet: session.goalMet
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -82,34 +307,91 @@ router.post('/heartbeats', getOrCreateUser, async (req, res) => {
       return res.status(400).json({ error: 'Heartbeats array required' });
     }
 
-    // Process heartbeats
-    const processedHeartbeats = heartbeats.map(hb => ({
+    // Retried batches from the extension outbox may contain heartbeats we already have
+    const clientIds = heartbeats.map(hb => hb.clientId).filter(Boolean);
+    const seen = new Set(clientIds.length > 0
+      ? await Heartbeat.find({ userId: req.user._id, clientId: { $in: clientIds } }).distinct('clientId')
+      : []);
+
+    const freshHeartbeats = heartbeats.filter(hb => {
+      if (!hb.clientId) return true;
+      if (seen.has(hb.clientId)) return false;
+      seen.add(hb.clientId);
+      return true;
+    });
+
+    // Malformed heartbeats are dropped rather than failing the batch, so they can't block the outbox
+    const validHeartbeats = freshHeartbeats.filter(hb => hb.sessionId && hb.timestamp && hb.action);
+
+    // Process heartbeats, keeping only what the user's privacy level allows
+    const privacy = await PrivacyService.scrubberFor(req.user);
+    const processedHeartbeats = validHeartbeats.map(hb => ({
       userId: req.user._id,
+      clientId: hb.clientId,
       sessionId: hb.sessionId,
       timestamp: new Date(hb.timestamp),
-      site: hb.site,
+      localDay: cleanLocalDay(hb.localDay, new Date(hb.timestamp)),
+      duration: hb.duration,
+      site: privacy.site(hb.site),
       siteType: hb.siteType,
       action: hb.action,
       coinsChange: hb.coinsChange || 0,
       metadata: {
         tabId: hb.tabId,
-        url: hb.url
+        windowId: hb.windowId,
+        url: privacy.url(hb.url),
+        idleState: hb.idleState,
+        idleDuration: hb.idleDuration,
+        pomodoroPhase: hb.pomodoroPhase,
+        pomodoroCount: hb.pomodoroCount,
+        sessionSource: hb.sessionSource,
+        scheduleId: hb.scheduleId,
+        unlockMinutes: hb.unlockMinutes,
+        commitmentMinutes: hb.commitmentMinutes,
+        lockRemaining: hb.lockRemaining,
+        pauseChoice: ['continue', 'leave'].includes(hb.pauseChoice) ? hb.pauseChoice : undefined,
+        pauseReason: typeof hb.pauseReason === 'string' ? hb.pauseReason.slice(0, 200) : undefined,
+        pauseWaited: hb.pauseWaited,
+        rate: hb.rate,
+        multiplier: hb.multiplier,
+        category: hb.category,
+        capped: hb.capped,
+        engagement: hb.engagement,
+        budgetKey: privacy.budgetKey(hb.budgetKey),
+        budgetMinutes: hb.budgetMinutes
       }
     }));
 
-    // Bulk insert heartbeats
-    await Heartbeat.insertMany(processedHeartbeats);
+    // Bulk insert heartbeats first, so a retried batch is recognised as
+    // duplicate and never applied to the balance twice
+    const inserted = processedHeartbeats.length > 0
+      ? await Heartbeat.insertMany(processedHeartbeats)
+      : [];
 
-    // Update user stats
-    const totalCoinsChange = heartbeats.reduce((sum, hb) => sum + (hb.coinsChange || 0), 0);
-    req.user.stats.totalCoins += totalCoinsChange;
-    await req.user.save();
+    const result = await settleHeartbeats(req.user, inserted);
+    if (!result) {
+      // Let the retried batch count as fresh again
+      await Heartbeat.deleteMany({ _id: { $in: inserted.map(doc => doc._id) } });
+      return res.status(409).json({ error: 'Balance changed during sync, retry the batch' });
+    }
+    const balance = result.previousBalance;
+
+    const totalCoinsChange = validHeartbeats.reduce((sum, hb) => sum + (hb.coinsChange || 0), 0);
+    const events = validHeartbeats.length > 0
+      ? await collectAchievements(req.user, balance, result.balance)
+      : [];
 
     res.json({
       success: true,
-      processed: heartbeats.length,
+      processed: validHeartbeats.length,
+      duplicates: heartbeats.length - freshHeartbeats.length,
+      rejected: freshHeartbeats.length - validHeartbeats.length,
       coinsChange: totalCoinsChange,
-      totalCoins: req.user.stats.totalCoins
+      coinsApplied: result.balance - balance,
+      // The authoritative balance; the extension reconciles against it
+      balance: result.balance,
+      totalCoins: result.balance,
+      events
     });
 
   } catch (error) {
@@ -118,6 +400,20 @@ router.post('/heartbeats', getOrCreateUser, async (req, res) => {
   }
 });
 
+// GET /api/sessions/balance - Authoritative coin balance
+router.get('/balance/:uuid', async (req, res) => {
+  try {
+    const user = await User.findOne({ uuid: req.params.uuid }).select('stats.totalCoins');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ balance: user.stats.totalCoins, at: new Date() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET /api/sessions/stats - Get user stats
 router.get('/stats/:uuid', async (req, res) => {
   try {
@@ -126,9 +422,16 @@ router.get('/stats/:uuid', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    // Lets the extension tell whether currentStreak is still alive
+    const lastFocusDay = await DailyStats.findOne({
+      userId: user._id,
+      'stats.totalFocusTime': { $gt: 0 }
+    }).sort({ date: -1 }).select('date');
+
     res.json({
       totalCoins: user.stats.totalCoins,
       currentStreak: user.stats.currentStreak,
+      lastFocusDate: lastFocusDay?.date || null,
       totalFocusTime: user.stats.totalFocusTime,
       settings: user.settings
     });
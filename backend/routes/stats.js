@@ -1,6 +1,7 @@
 // routes/stats.js - Statistics and analytics API
 const express = require('express');
-const { User, DailyStats } = require('../models');
+const { User, DailyStats, Session } = require('../models');
+const PrivacyService = require('../services/privacy');
 const router = express.Router();
 
 // Middleware to get user by UUID
@@ -38,9 +39,19 @@ router.get('/today/:uuid', getUserByUUID, async (req, res) => {
         coinsSpent: 0,
         productiveTime: 0,
         distractingTime: 0,
-        sessionsCount: 0
+        sessionsCount: 0,
+        pomodorosCompleted: 0,
+        scheduledFocusTime: 0,
+        unlocksPurchased: 0,
+        commitmentBreaks: 0,
+        pauses: 0,
+        pausesLeft: 0,
+        activeProductiveTime: 0,
+        passiveProductiveTime: 0
       },
       siteBreakdown: todayStats?.siteBreakdown || [],
+      budgetUsage: todayStats?.budgetUsage || [],
+      pauseReasons: todayStats?.pauseReasons || [],
       userStats: {
         totalCoins: req.user.stats.totalCoins,
         currentStreak: req.user.stats.currentStreak,
@@ -87,9 +98,18 @@ router.get('/history/:uuid', getUserByUUID, async (req, res) => {
           coinsSpent: 0,
           productiveTime: 0,
           distractingTime: 0,
-          sessionsCount: 0
+          sessionsCount: 0,
+          pomodorosCompleted: 0,
+          scheduledFocusTime: 0,
+          unlocksPurchased: 0,
+          commitmentBreaks: 0,
+          pauses: 0,
+          pausesLeft: 0,
+          activeProductiveTime: 0,
+          passiveProductiveTime: 0
         },
-        siteBreakdown: existingStat?.siteBreakdown || []
+        siteBreakdown: existingStat?.siteBreakdown || [],
+        budgetUsage: existingStat?.budgetUsage || []
       });
       
       currentDate.setDate(currentDate.getDate() + 1);
@@ -103,10 +123,22 @@ router.get('/history/:uuid', getUserByUUID, async (req, res) => {
       ),
       totalCoinsEarned: dailyData.reduce((sum, day) => sum + day.stats.coinsEarned, 0),
       totalCoinsSpent: dailyData.reduce((sum, day) => sum + day.stats.coinsSpent, 0),
+      totalPomodoros: dailyData.reduce((sum, day) => sum + (day.stats.pomodorosCompleted || 0), 0),
+      totalScheduledFocusTime: dailyData.reduce((sum, day) => sum + (day.stats.scheduledFocusTime || 0), 0),
+      totalUnlocksPurchased: dailyData.reduce((sum, day) => sum + (day.stats.unlocksPurchased || 0), 0),
+      totalCommitmentBreaks: dailyData.reduce((sum, day) => sum + (day.stats.commitmentBreaks || 0), 0),
+      totalPauses: dailyData.reduce((sum, day) => sum + (day.stats.pauses || 0), 0),
+      totalPausesLeft: dailyData.reduce((sum, day) => sum + (day.stats.pausesLeft || 0), 0),
+      totalActiveProductiveTime: dailyData.reduce((sum, day) => sum + (day.stats.activeProductiveTime || 0), 0),
+      totalPassiveProductiveTime: dailyData.reduce((sum, day) => sum + (day.stats.passiveProductiveTime || 0), 0),
       activeDays: dailyData.filter(day => day.stats.totalFocusTime > 0).length,
       mostProductiveSite: this.getMostProductiveSite(dailyData),
       longestSession: Math.max(...dailyData.map(day => day.stats.totalFocusTime))
     };
+    // Share of mindful pauses that ended with the user leaving the site
+    summary.pauseLeaveRate = summary.totalPauses > 0
+      ? Math.round((summary.totalPausesLeft / summary.totalPauses) * 100)
+      : null;
 
     res.json({
       period: { startDate: startDate.toISOString().split('T')[0], endDate: endDate.toISOString().split('T')[0] },
@@ -195,6 +227,33 @@ router.get('/sites/:uuid', getUserByUUID, async (req, res) => {
   }
 });
 
+// GET /api/stats/sessions/:uuid - Recent sessions with their goal outcomes
+router.get('/sessions/:uuid', getUserByUUID, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const sessions = await Session.find({ userId: req.user._id })
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .select('-_id -userId -__v');
+
+    const withGoal = sessions.filter(session => session.goal?.type && session.endedAt);
+    const goalsMet = withGoal.filter(session => session.goalMet).length;
+
+    res.json({
+      sessions,
+      goals: {
+        total: withGoal.length,
+        met: goalsMet,
+        successRate: withGoal.length > 0 ? Math.round((goalsMet / withGoal.length) * 100) : null
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Helper function
 router.getMostProductiveSite = function(dailyData) {
   const siteTime = {};
@@ -218,7 +277,15 @@ router.get('/export/:uuid', getUserByUUID, async (req, res) => {
   try {
     const allStats = await DailyStats.find({
       userId: req.user._id
-    }).sort({ date: 1 });
+    }).sort({ date: 1 }).lean();
+
+    // History from before a stricter privacy level was chosen is scrubbed on the way out
+    const privacy = await PrivacyService.scrubberFor(req.user);
+    allStats.forEach(day => {
+      day.siteBreakdown = (day.siteBreakdown || []).map(site => ({ ...site, site: privacy.site(site.site) }));
+      day.budgetUsage = (day.budgetUsage || []).map(usage => ({ ...usage, key: privacy.budgetKey(usage.key) }));
+      day.pauseReasons = (day.pauseReasons || []).map(pause => ({ ...pause, site: privacy.site(pause.site) }));
+    });
 
     const exportData = {
       user: {
@@ -1,7 +1,10 @@
 // routes/user.js - User settings and profile management
 const express = require('express');
-const { User } = require('../models');
+const { User, SITE_RULE_MATCH_TYPES } = require('../models');
 const BadgeSystem = require('../services/badges');
+const EconomyService = require('../services/economy');
+const LevelSystem = require('../services/levels');
+const PrivacyService = require('../services/privacy');
 const router = express.Router();
 
 // Middleware to get user
@@ -21,30 +24,6 @@ const getUser = async (req, res, next) => {
   }
 };
 
-// Leveling system utilities
-const LevelSystem = {
-  calculateLevel(totalCoins) {
-    // Level = sqrt(totalCoins / 100), minimum level 1
-    return Math.max(1, Math.floor(Math.sqrt(totalCoins / 100)));
-  },
-  
-  calculateXPProgress(totalCoins) {
-    const currentLevel = this.calculateLevel(totalCoins);
-    const currentLevelXP = Math.pow(currentLevel, 2) * 100;
-    const nextLevelXP = Math.pow(currentLevel + 1, 2) * 100;
-    const progress = totalCoins - currentLevelXP;
-    const needed = nextLevelXP - currentLevelXP;
-    
-    return {
-      currentLevel,
-      currentXP: totalCoins,
-      progressXP: progress,
-      neededXP: needed,
-      progressPercent: Math.round((progress / needed) * 100)
-    };
-  }
-};
-
 // GET /api/user/profile/:uuid - Get user profile
 router.get('/profile/:uuid', getUser, async (req, res) => {
   try {
@@ -74,26 +53,116 @@ router.get('/profile/:uuid', getUser, async (req, res) => {
   }
 });
 
+// GET /api/user/settings/:uuid - Get settings for the extension to sync
+router.get('/settings/:uuid', getUser, async (req, res) => {
+  try {
+    res.json({
+      settings: req.user.settings,
+      updatedAt: req.user.lastActive
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/user/economy/:uuid - Coin rates, weights and caps for the extension
+router.get('/economy/:uuid', getUser, async (req, res) => {
+  try {
+    res.json({ economy: EconomyService.getConfig(req.user) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/user/settings/economy/:uuid - Override the base earn/drain rates
+router.put('/settings/economy/:uuid', getUser, async (req, res) => {
+  try {
+    const { earnRate, drainRate } = req.body;
+
+    const errors = EconomyService.validateOverrides({ earnRate, drainRate });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid economy settings', details: errors });
+    }
+
+    const update = { lastActive: new Date() };
+    if (earnRate !== undefined) update['settings.economy.earnRate'] = earnRate;
+    if (drainRate !== undefined) update['settings.economy.drainRate'] = drainRate;
+
+    const user = await User.findByIdAndUpdate(req.user._id, update, { new: true });
+
+    res.json({
+      success: true,
+      economy: EconomyService.getConfig(user)
+    });
+
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/user/settings/privacy/:uuid - Set what is kept about visited sites
+// (privacyLevel) and whether the user shows on leaderboards (private)
+router.put('/settings/privacy/:uuid', getUser, async (req, res) => {
+  try {
+    const { privacyLevel, private: isPrivate } = req.body;
+
+    if (privacyLevel === undefined && isPrivate === undefined) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    if (privacyLevel !== undefined && !PrivacyService.levels.includes(privacyLevel)) {
+      return res.status(400).json({ error: `privacyLevel must be one of ${PrivacyService.levels.join(', ')}` });
+    }
+
+    if (isPrivate !== undefined && typeof isPrivate !== 'boolean') {
+      return res.status(400).json({ error: 'Privacy setting must be boolean' });
+    }
+
+    const update = { lastActive: new Date() };
+    if (privacyLevel !== undefined) update['settings.privacyLevel'] = privacyLevel;
+    if (isPrivate !== undefined) update['settings.private'] = isPrivate;
+
+    const user = await User.findByIdAndUpdate(req.user._id, update, { new: true });
+    if (privacyLevel !== undefined) {
+      await PrivacyService.applyLevelChange(req.user, privacyLevel);
+    }
+
+    res.json({
+      success: true,
+      privacyLevel: user.settings.privacyLevel,
+      private: user.settings.private
+    });
+
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // PUT /api/user/settings/sites/:uuid - Update site lists
 router.put('/settings/sites/:uuid', getUser, async (req, res) => {
   try {
-    const { productiveSites, distractingSites } = req.body;
+    const { productiveSites, distractingSites, neutralSites = [] } = req.body;
     
     // Validate input
-    if (!Array.isArray(productiveSites) || !Array.isArray(distractingSites)) {
+    if (!Array.isArray(productiveSites) || !Array.isArray(distractingSites) || !Array.isArray(neutralSites)) {
       return res.status(400).json({ error: 'Site lists must be arrays' });
     }
 
-    // Clean and validate domains
+    // Clean and validate domains; /regex/ entries are case-sensitive
+    // (\S is not \s), so they're only trimmed
     const cleanSites = (sites) => sites
-      .map(site => site.toLowerCase().trim().replace(/^https?:\/\//, '').replace(/^www\./, ''))
+      .map(site => site.trim())
+      .map(site => /^\/.+\/$/.test(site)
+        ? site
+        : site.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, ''))
       .filter(site => site.length > 0)
       .slice(0, 50); // Limit to 50 sites
 
     const updatedSettings = {
       ...req.user.settings,
       productiveSites: cleanSites(productiveSites),
-      distractingSites: cleanSites(distractingSites)
+      distractingSites: cleanSites(distractingSites),
+      neutralSites: cleanSites(neutralSites)
     };
 
     await User.findByIdAndUpdate(req.user._id, {
@@ -111,23 +180,186 @@ router.put('/settings/sites/:uuid', getUser, async (req, res) => {
   }
 });
 
-// PUT /api/user/settings/privacy/:uuid - Update privacy settings
-router.put('/settings/privacy/:uuid', getUser, async (req, res) => {
+// PUT /api/user/settings/rules/:uuid - Replace pattern-based site rules
+router.put('/settings/rules/:uuid', getUser, async (req, res) => {
   try {
-    const { private: isPrivate } = req.body;
-    
-    if (typeof isPrivate !== 'boolean') {
-      return res.status(400).json({ error: 'Privacy setting must be boolean' });
+    const { siteRules } = req.body;
+
+    if (!Array.isArray(siteRules)) {
+      return res.status(400).json({ error: 'siteRules must be an array' });
+    }
+
+    if (siteRules.length > 200) {
+      return res.status(400).json({ error: 'Too many rules (max 200)' });
+    }
+
+    const errors = [];
+    const cleanRules = siteRules.map((rule, index) => {
+      const pattern = typeof rule.pattern === 'string' ? rule.pattern.trim() : '';
+      const match = rule.match || 'subdomain';
+      const priority = rule.priority === undefined ? 0 : Number(rule.priority);
+
+      if (!pattern || pattern.length > 500) {
+        errors.push(`Rule ${index}: pattern must be 1-500 characters`);
+      } else if (!SITE_RULE_MATCH_TYPES.includes(match)) {
+        errors.push(`Rule ${index}: match must be one of ${SITE_RULE_MATCH_TYPES.join(', ')}`);
+      } else if (!['productive', 'distracting', 'neutral'].includes(rule.type)) {
+        errors.push(`Rule ${index}: type must be productive, distracting or neutral`);
+      } else if (!Number.isFinite(priority)) {
+        errors.push(`Rule ${index}: priority must be a number`);
+      } else if (match === 'regex') {
+        try {
+          new RegExp(pattern.replace(/^\/(.*)\/$/, '$1'));
+        } catch (error) {
+          errors.push(`Rule ${index}: invalid regex (${error.message})`);
+        }
+      }
+
+      return {
+        pattern: match === 'regex' ? pattern : pattern.toLowerCase(),
+        match,
+        type: rule.type,
+        priority
+      };
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid site rules', details: errors });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, {
+      'settings.siteRules': cleanRules,
+      lastActive: new Date()
+    });
+
+    res.json({
+      success: true,
+      siteRules: cleanRules
+    });
+
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/user/settings/schedules/:uuid - Replace recurring focus schedules
+router.put('/settings/schedules/:uuid', getUser, async (req, res) => {
+  try {
+    const { schedules } = req.body;
+
+    if (!Array.isArray(schedules)) {
+      return res.status(400).json({ error: 'schedules must be an array' });
+    }
+
+    if (schedules.length > 20) {
+      return res.status(400).json({ error: 'Too many schedules (max 20)' });
+    }
+
+    const timePattern = /^([01]\d|2[0-3]):([0-5]\d)$/;
+    const errors = [];
+    const cleanSchedules = schedules.map((schedule, index) => {
+      const days = Array.isArray(schedule.days)
+        ? [...new Set(schedule.days.map(Number))].sort()
+        : [];
+
+      if (typeof schedule.id !== 'string' || !schedule.id || schedule.id.length > 100) {
+        errors.push(`Schedule ${index}: id must be a non-empty string`);
+      } else if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        errors.push(`Schedule ${index}: days must be weekday numbers 0-6`);
+      } else if (!timePattern.test(schedule.start) || !timePattern.test(schedule.end)) {
+        errors.push(`Schedule ${index}: start and end must be HH:MM`);
+      } else if (schedule.start === schedule.end) {
+        errors.push(`Schedule ${index}: start and end must differ`);
+      }
+
+      return {
+        id: schedule.id,
+        days,
+        start: schedule.start,
+        end: schedule.end,
+        enabled: schedule.enabled !== false
+      };
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid schedules', details: errors });
     }
 
     await User.findByIdAndUpdate(req.user._id, {
-      'settings.private': isPrivate,
+      'settings.schedules': cleanSchedules,
       lastActive: new Date()
     });
 
     res.json({
       success: true,
-      private: isPrivate
+      schedules: cleanSchedules
+    });
+
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/user/settings/budgets/:uuid - Set budget mode and the daily allowances
+router.put('/settings/budgets/:uuid', getUser, async (req, res) => {
+  try {
+    const { distractionMode, distractionBudgets, budgetDefaultMinutes } = req.body;
+    const maxMinutes = 24 * 60;
+    const validMinutes = (minutes) => typeof minutes === 'number' && Number.isFinite(minutes) &&
+      minutes >= 0 && minutes <= maxMinutes;
+
+    if (!['coins', 'budget'].includes(distractionMode)) {
+      return res.status(400).json({ error: 'distractionMode must be coins or budget' });
+    }
+
+    if (!validMinutes(budgetDefaultMinutes)) {
+      return res.status(400).json({ error: `budgetDefaultMinutes must be 0-${maxMinutes}` });
+    }
+
+    if (!Array.isArray(distractionBudgets)) {
+      return res.status(400).json({ error: 'distractionBudgets must be an array' });
+    }
+
+    if (distractionBudgets.length > 50) {
+      return res.status(400).json({ error: 'Too many budgets (max 50)' });
+    }
+
+    const errors = [];
+    const cleanBudgets = distractionBudgets.map((budget, index) => {
+      const pattern = typeof budget.pattern === 'string' ? budget.pattern.trim() : '';
+      const category = typeof budget.category === 'string' ? budget.category.trim().toLowerCase() : '';
+
+      if (!validMinutes(budget.minutes)) {
+        errors.push(`Budget ${index}: minutes must be 0-${maxMinutes}`);
+      } else if (!pattern === !category) {
+        errors.push(`Budget ${index}: needs either a pattern or a category`);
+      } else if (pattern.length > 500 || category.length > 100) {
+        errors.push(`Budget ${index}: pattern or category is too long`);
+      }
+
+      return category
+        ? { category, minutes: budget.minutes }
+        : { pattern, minutes: budget.minutes };
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid budgets', details: errors });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, {
+      'settings.distractionMode': distractionMode,
+      'settings.distractionBudgets': cleanBudgets,
+      'settings.budgetDefaultMinutes': budgetDefaultMinutes,
+      lastActive: new Date()
+    });
+
+    res.json({
+      success: true,
+      settings: {
+        distractionMode,
+        distractionBudgets: cleanBudgets,
+        budgetDefaultMinutes
+      }
     });
 
   } catch (error) {
@@ -286,11 +518,12 @@ router.delete('/data/:uuid', getUser, async (req, res) => {
     }
 
     // Delete user and all associated data
-    const { Heartbeat, DailyStats } = require('../models');
+    const { Heartbeat, DailyStats, Session } = require('../models');
     
     await Promise.all([
       Heartbeat.deleteMany({ userId: req.user._id }),
       DailyStats.deleteMany({ userId: req.user._id }),
+      Session.deleteMany({ userId: req.user._id }),
       User.findByIdAndDelete(req.user._id)
     ]);
 
@@ -1,7 +1,13 @@
 // services/aggregation.js - Heartbeat data aggregation
-const { User, Heartbeat, DailyStats } = require('../models');
+const { User, Heartbeat, DailyStats, ACTIVITY_ACTIONS } = require('../models');
 const cron = require('node-cron');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Heartbeats are filed under the user's local day; ones from before the
+// extension sent it fall back to the UTC date
+const dayKeyOf = (hb) => hb.localDay || hb.timestamp.toISOString().split('T')[0];
+
 class AggregationService {
   constructor() {
     this.setupCronJobs();
@@ -64,19 +70,33 @@ class AggregationService {
 
   async aggregateUserData(userId, startTime, endTime, isDailyFinal = false) {
     try {
-      // Get heartbeats for the period
-      const heartbeats = await Heartbeat.find({
+      // Find the days with heartbeats in the period
+      const recent = await Heartbeat.find({
         userId,
         timestamp: { $gte: startTime, $lt: endTime }
-      }).sort({ timestamp: 1 });
+      }).select('localDay timestamp');
 
-      if (heartbeats.length === 0) return;
+      if (recent.length === 0) return;
+
+      // Each day's stats are replaced as a whole, so rebuild every day the
+      // period touched from all of its heartbeats, not just those in the period
+      const days = [...new Set(recent.map(dayKeyOf))].sort();
+      const heartbeats = (await Heartbeat.find({
+        userId,
+        $or: [
+          { localDay: { $in: days } },
+          {
+            localDay: null,
+            timestamp: { $gte: new Date(days[0]), $lt: new Date(Date.parse(days[days.length - 1]) + DAY_MS) }
+          }
+        ]
+      }).sort({ timestamp: 1 })).filter(hb => days.includes(dayKeyOf(hb)));
 
       // Group by date
       const dailyData = {};
       
       heartbeats.forEach(hb => {
-        const dateKey = hb.timestamp.toISOString().split('T')[0];
+        const dateKey = dayKeyOf(hb);
         
         if (!dailyData[dateKey]) {
           dailyData[dateKey] = {
@@ -86,7 +106,17 @@ class AggregationService {
             productiveTime: 0,
             distractingTime: 0,
             sessionsCount: new Set(),
-            siteBreakdown: {}
+            pomodorosCompleted: 0,
+            scheduledFocusTime: 0,
+            unlocksPurchased: 0,
+            commitmentBreaks: 0,
+            pauses: 0,
+            pausesLeft: 0,
+            pauseReasons: [],
+            activeProductiveTime: 0,
+            passiveProductiveTime: 0,
+            siteBreakdown: {},
+            budgetUsage: {}
           };
         }
 
@@ -94,35 +124,78 @@ class AggregationService {
         
         // Track session
         dayData.sessionsCount.add(hb.sessionId);
-        
-        // Track coins
-        if (hb.coinsChange > 0) {
-          dayData.coinsEarned += hb.coinsChange;
-        } else if (hb.coinsChange < 0) {
-          dayData.coinsSpent += Math.abs(hb.coinsChange);
+
+        if (hb.action === 'pomodoro') {
+          dayData.pomodorosCompleted++;
+        } else if (hb.action === 'purchase') {
+          dayData.unlocksPurchased++;
+        } else if (hb.action === 'commitment_break') {
+          dayData.commitmentBreaks++;
+        } else if (hb.action === 'pause') {
+          dayData.pauses++;
+          if (hb.metadata?.pauseChoice === 'leave') dayData.pausesLeft++;
+          if (hb.metadata?.pauseReason) {
+            dayData.pauseReasons.push({
+              site: hb.site,
+              reason: hb.metadata.pauseReason,
+              choice: hb.metadata.pauseChoice,
+              timestamp: hb.timestamp
+            });
+          }
+        }
+
+        // Track coins, including spend on events like unlock purchases,
+        // as they actually landed on the balance
+        const coinsChange = hb.coinsApplied ?? hb.coinsChange;
+        if (coinsChange > 0) {
+          dayData.coinsEarned += coinsChange;
+        } else if (coinsChange < 0) {
+          dayData.coinsSpent += Math.abs(coinsChange);
         }
 
+        // Idle gaps and other events carry no site time
+        if (!ACTIVITY_ACTIONS.includes(hb.action)) return;
+
         // Track time by site type
-        const timeIncrement = 5; // 5 seconds per heartbeat
+        // Heartbeats carry their duration; older ones are one 5-second tick
+        const timeIncrement = hb.duration ? hb.duration / 1000 : 5;
         if (hb.siteType === 'productive') {
           dayData.productiveTime += timeIncrement;
           dayData.totalFocusTime += timeIncrement;
+          if (hb.metadata?.sessionSource === 'scheduled') {
+            dayData.scheduledFocusTime += timeIncrement;
+          }
+
+          // Heartbeats from before engagement tracking count as active
+          const activeTime = timeIncrement * (hb.metadata?.engagement ?? 1);
+          dayData.activeProductiveTime += activeTime;
+          dayData.passiveProductiveTime += timeIncrement - activeTime;
         } else if (hb.siteType === 'distracting') {
           dayData.distractingTime += timeIncrement;
         }
 
+        // Default allowances are per host, so they're keyed by the site
+        const budgetKey = hb.metadata?.budgetKey === 'default' ? `site:${hb.site}` : hb.metadata?.budgetKey;
+        if (budgetKey) {
+          if (!dayData.budgetUsage[budgetKey]) {
+            dayData.budgetUsage[budgetKey] = { key: budgetKey, minutes: hb.metadata.budgetMinutes, usedTime: 0 };
+          }
+          dayData.budgetUsage[budgetKey].usedTime += timeIncrement;
+        }
+
         // Site breakdown
         if (!dayData.siteBreakdown[hb.site]) {
           dayData.siteBreakdown[hb.site] = {
             site: hb.site,
             timeSpent: 0,
             coinsChange: 0,
-            type: hb.siteType
+            type: hb.siteType,
+            category: hb.metadata?.category
           };
         }
         
         dayData.siteBreakdown[hb.site].timeSpent += timeIncrement;
-        dayData.siteBreakdown[hb.site].coinsChange += hb.coinsChange;
+        dayData.siteBreakdown[hb.site].coinsChange += coinsChange;
       });
 
       // Save to DailyStats
@@ -136,9 +209,19 @@ class AggregationService {
             coinsSpent: data.coinsSpent,
             productiveTime: data.productiveTime,
             distractingTime: data.distractingTime,
-            sessionsCount: data.sessionsCount.size
+            sessionsCount: data.sessionsCount.size,
+            pomodorosCompleted: data.pomodorosCompleted,
+            scheduledFocusTime: data.scheduledFocusTime,
+            unlocksPurchased: data.unlocksPurchased,
+            commitmentBreaks: data.commitmentBreaks,
+            pauses: data.pauses,
+            pausesLeft: data.pausesLeft,
+            activeProductiveTime: data.activeProductiveTime,
+            passiveProductiveTime: data.passiveProductiveTime
           },
           siteBreakdown: Object.values(data.siteBreakdown),
+          budgetUsage: Object.values(data.budgetUsage),
+          pauseReasons: data.pauseReasons.slice(-20),
           updatedAt: new Date()
         };
 
@@ -164,9 +247,6 @@ class AggregationService {
       // Get all daily stats for user
       const allStats = await DailyStats.find({ userId });
       
-      const totalCoins = allStats.reduce((sum, day) => 
-        sum + day.stats.coinsEarned - day.stats.coinsSpent, 0);
-      
       const totalFocusTime = allStats.reduce((sum, day) => 
         sum + day.stats.totalFocusTime, 0);
 
@@ -174,7 +254,7 @@ class AggregationService {
       const currentStreak = this.calculateStreak(allStats);
       
       await User.findByIdAndUpdate(userId, {
-        'stats.totalCoins': totalCoins,
+        // stats.totalCoins is the live balance kept by heartbeat sync, not derived here
         'stats.totalFocusTime': totalFocusTime,
         'stats.currentStreak': currentStreak,
         'stats.bestStreak': Math.max(currentStreak, await this.getBestStreak(userId))
@@ -186,27 +266,25 @@ class AggregationService {
   }
 
   calculateStreak(dailyStats) {
-    // Sort by date descending
-    const sortedStats = dailyStats
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
-      .filter(day => day.stats.totalFocusTime > 0);
-
-    if (sortedStats.length === 0) return 0;
-
-    let streak = 0;
-    let currentDate = new Date();
-    currentDate.setHours(0, 0, 0, 0);
-
-    for (const dayStat of sortedStats) {
-      const statDate = new Date(dayStat.date);
-      const dayDiff = Math.floor((currentDate - statDate) / (1000 * 60 * 60 * 24));
-
-      if (dayDiff === streak) {
-        streak++;
-        currentDate.setDate(currentDate.getDate() - 1);
-      } else {
-        break;
-      }
+    // Day keys as day numbers, newest first; keys parse as UTC midnight, so
+    // consecutive days are exactly one apart
+    const days = dailyStats
+      .filter(day => day.stats.totalFocusTime > 0)
+      .map(day => Date.parse(day.date) / DAY_MS)
+      .sort((a, b) => b - a);
+
+    if (days.length === 0) return 0;
+
+    // Dates are the user's local days, which can run a day ahead of or behind
+    // the server's, and the nightly run happens before anyone focuses on the
+    // new day. Anything older than that has lapsed; the extension makes the
+    // exact call against its own calendar.
+    const today = Date.parse(new Date().toISOString().split('T')[0]) / DAY_MS;
+    if (today - days[0] > 2) return 0;
+
+    let streak = 1;
+    while (streak < days.length && days[streak - 1] - days[streak] === 1) {
+      streak++;
     }
 
     return streak;
@@ -0,0 +1,72 @@
+// services/economy.js - Coin economy served to the extension
+//
+// Rates are coins per 5-second tick. Categories group sites that share a
+// weight; a per-site weight wins over its category's. Daily caps limit how
+// many coins can be earned per local day, overall and per category.
+
+class EconomyService {
+  constructor() {
+    this.defaults = {
+      version: 1,
+      earnRate: 3,
+      drainRate: 4,
+      dailyEarnCap: 2000,
+      categories: {
+        practice: {
+          sites: ['leetcode.com', 'hackerrank.com', 'codewars.com', 'exercism.org'],
+          earnMultiplier: 2
+        },
+        courses: {
+          sites: ['coursera.org', 'udemy.com', 'edx.org', 'khanacademy.org', 'freecodecamp.org'],
+          earnMultiplier: 1.5,
+          dailyEarnCap: 1000
+        },
+        reference: {
+          sites: ['wikipedia.org', 'w3schools.com'],
+          earnMultiplier: 0.5,
+          dailyEarnCap: 300
+        },
+        video: {
+          sites: ['youtube.com', 'tiktok.com', 'netflix.com', 'twitch.tv'],
+          drainMultiplier: 1.5
+        },
+        social: {
+          sites: ['instagram.com', 'twitter.com', 'x.com', 'facebook.com', 'reddit.com'],
+          drainMultiplier: 1.25
+        }
+      },
+      sites: [
+        // Beats the reference category: random-article surfing isn't research
+        { pattern: 'wikipedia.org/wiki/Special:Random', earnMultiplier: 0 }
+      ]
+    };
+  }
+
+  // User overrides only touch the base rates; weights and caps stay global
+  // so leaderboard numbers remain comparable
+  getConfig(user) {
+    const overrides = user?.settings?.economy || {};
+
+    return {
+      ...this.defaults,
+      earnRate: overrides.earnRate ?? this.defaults.earnRate,
+      drainRate: overrides.drainRate ?? this.defaults.drainRate
+    };
+  }
+
+  validateOverrides({ earnRate, drainRate }) {
+    const errors = [];
+    const check = (name, value) => {
+      if (value === undefined || value === null) return;
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 100) {
+        errors.push(`${name} must be a number between 0 and 100`);
+      }
+    };
+
+    check('earnRate', earnRate);
+    check('drainRate', drainRate);
+    return errors;
+  }
+}
+
+module.exports = new EconomyService();
@@ -0,0 +1,26 @@
+// services/levels.js - Leveling system utilities
+
+const LevelSystem = {
+  calculateLevel(totalCoins) {
+    // Level = sqrt(totalCoins / 100), minimum level 1
+    return Math.max(1, Math.floor(Math.sqrt(totalCoins / 100)));
+  },
+  
+  calculateXPProgress(totalCoins) {
+    const currentLevel = this.calculateLevel(totalCoins);
+    const currentLevelXP = Math.pow(currentLevel, 2) * 100;
+    const nextLevelXP = Math.pow(currentLevel + 1, 2) * 100;
+    const progress = totalCoins - currentLevelXP;
+    const needed = nextLevelXP - currentLevelXP;
+    
+    return {
+      currentLevel,
+      currentXP: totalCoins,
+      progressXP: progress,
+      neededXP: needed,
+      progressPercent: Math.round((progress / needed) * 100)
+    };
+  }
+};
+
+module.exports = LevelSystem;
@@ -0,0 +1,148 @@
+// services/privacy.js - Enforces each user's privacy level on site data
+//
+// Levels match the extension's privacyLevel setting:
+//   full    sites and full URLs are kept
+//   host    URLs are dropped and sites cut down to their host
+//   hashed  URLs are dropped and sites replaced by a salted hash
+// The extension hashes with a salt that never leaves the browser, so sites
+// that arrive hashed ('h:' + 16 hex chars) are kept as they are. Anything
+// that arrives in the clear from an older client is hashed here with a
+// per-user server salt instead.
+const crypto = require('crypto');
+const { User, Heartbeat, Session, DailyStats } = require('../models');
+
+class PrivacyService {
+  constructor() {
+    this.levels = ['full', 'host', 'hashed'];
+    this.defaultLevel = 'host';
+    this.hashPattern = /^h:[0-9a-f]{16}$/;
+    this.incognitoSite = '(incognito)';
+  }
+
+  levelFor(user) {
+    return this.levels.includes(user?.settings?.privacyLevel) ? user.settings.privacyLevel : this.defaultLevel;
+  }
+
+  // Created on first use so existing users don't need a migration
+  async saltFor(user) {
+    if (!user.privacySalt) {
+      user.privacySalt = crypto.randomBytes(16).toString('hex');
+      await User.updateOne({ _id: user._id, privacySalt: { $exists: false } }, { $set: { privacySalt: user.privacySalt } });
+      const fresh = await User.findById(user._id).select('+privacySalt');
+      user.privacySalt = fresh.privacySalt;
+    }
+    return user.privacySalt;
+  }
+
+  scrubSite(site, level, salt) {
+    if (!site || level === 'full' || site === this.incognitoSite || this.hashPattern.test(site)) return site;
+
+    const host = String(site).split('/')[0];
+    if (level === 'host') return host;
+
+    return 'h:' + crypto.createHash('sha256').update(`${salt}:${host}`).digest('hex').slice(0, 16);
+  }
+
+  // Budget keys name either a site pattern ('site:<pattern>') or an economy
+  // category ('category:<name>'); only the pattern says where the user went
+  scrubBudgetKey(key, level, salt) {
+    if (typeof key !== 'string' || !key.startsWith('site:') || level === 'full') return key;
+
+    const pattern = key.slice('site:'.length);
+    if (pattern.startsWith('/')) return 'site:(regex)'; // a regex has no host to keep
+    return `site:${this.scrubSite(pattern, level, salt)}`;
+  }
+
+  // Returns a scrubber for one user: { site(name), url(url), budgetKey(key) }
+  async scrubberFor(user) {
+    const level = this.levelFor(user);
+    const salt = level === 'hashed' ? await this.saltFor(user) : null;
+
+    return {
+      level,
+      site: (site) => this.scrubSite(site, level, salt),
+      url: (url) => (level === 'full' ? url : undefined),
+      budgetKey: (key) => this.scrubBudgetKey(key, level, salt)
+    };
+  }
+
+  // Moving to a stricter level also scrubs what was stored under the old
+  // one: URLs are dropped, and sites in heartbeats, session summaries, daily
+  // breakdowns, budget usage and pause reasons are rewritten to the new level
+  async applyLevelChange(user, level) {
+    if (level === 'full') return;
+
+    const salt = level === 'hashed' ? await this.saltFor(user) : null;
+    const scrub = (site) => this.scrubSite(site, level, salt);
+    const scrubKey = (key) => this.scrubBudgetKey(key, level, salt);
+
+    await Heartbeat.updateMany(
+      { userId: user._id, 'metadata.url': { $exists: true } },
+      { $unset: { 'metadata.url': '' } }
+    );
+
+    // One update per distinct site rather than per heartbeat
+    const sites = await Heartbeat.distinct('site', { userId: user._id });
+    for (const site of sites) {
+      const scrubbed = scrub(site);
+      if (scrubbed !== site) {
+        await Heartbeat.updateMany({ userId: user._id, site }, { $set: { site: scrubbed } });
+      }
+    }
+
+    const budgetKeys = await Heartbeat.distinct('metadata.budgetKey', { userId: user._id });
+    for (const key of budgetKeys) {
+      const scrubbed = scrubKey(key);
+      if (scrubbed !== key) {
+        await Heartbeat.updateMany({ userId: user._id, 'metadata.budgetKey': key }, { $set: { 'metadata.budgetKey': scrubbed } });
+      }
+    }
+
+    const sessions = await Session.find({ userId: user._id, 'summary.topSites.0': { $exists: true } });
+    for (const session of sessions) {
+      session.summary.topSites.forEach(entry => { entry.site = scrub(entry.site); });
+      await session.save();
+    }
+
+    // Sites that collapse into one (two paths of a host, say) are merged
+    const days = await DailyStats.find({
+      userId: user._id,
+      $or: [
+        { 'siteBreakdown.0': { $exists: true } },
+        { 'budgetUsage.0': { $exists: true } },
+        { 'pauseReasons.0': { $exists: true } }
+      ]
+    });
+    for (const day of days) {
+      const merged = {};
+      day.siteBreakdown.forEach(entry => {
+        const site = scrub(entry.site);
+        if (merged[site]) {
+          merged[site].timeSpent += entry.timeSpent || 0;
+          merged[site].coinsChange += entry.coinsChange || 0;
+        } else {
+          merged[site] = { ...entry.toObject(), site };
+        }
+      });
+      day.siteBreakdown = Object.values(merged);
+
+      const usage = {};
+      day.budgetUsage.forEach(entry => {
+        const key = scrubKey(entry.key);
+        if (usage[key]) {
+          usage[key].usedTime += entry.usedTime || 0;
+          usage[key].minutes = Math.max(usage[key].minutes || 0, entry.minutes || 0);
+        } else {
+          usage[key] = { ...entry.toObject(), key };
+        }
+      });
+      day.budgetUsage = Object.values(usage);
+
+      day.pauseReasons.forEach(entry => { entry.site = scrub(entry.site); });
+
+      await day.save();
+    }
+  }
+}
+
+module.exports = new PrivacyService();
@@ -1,33 +1,97 @@
 // background.js - Enhanced with backend synchronization
+importScripts('outbox.js', 'rules.js', 'schedules.js', 'economy.js', 'budgets.js', 'goals.js', 'settings.js');
+
 class FocusCoinEngine {
     constructor() {
         this.isSessionActive = false;
-        this.currentTabId = null;
+        this.currentTab = null; // { id, windowId, url } of the tab being credited
+        this.lastProductiveTab = null; // where "take me back to work" goes
+        this.drainVisit = null; // { tabId, site, coinsLost } for the overlay
+        this.overlayTabId = null; // tab currently showing the drain overlay
         this.lastUpdateTime = Date.now();
         this.coinUpdateInterval = 5000; // 5 seconds
         this.updateTimer = null;
+        this.coinUpdate = Promise.resolve();
         this.sessionId = null;
+        this.sessionSource = null; // 'manual' or 'scheduled'
+        this.scheduleId = null; // schedule that started the session, if any
+        this.scheduleCheck = Promise.resolve();
+
+        // Optional target for the session and the running totals it's measured against
+        this.sessionGoal = null; // { type, target, reached }
+        this.sessionStats = SessionGoals.emptyStats();
         this.uuid = null;
+
+        // chrome.alarms keeps the engine ticking after the service worker is
+        // suspended; 30 seconds is the shortest period it allows
+        this.tickAlarmPeriod = 0.5; // minutes
+        this.maxCatchUpGap = 2 * 60 * 1000; // longer gaps mean the browser was closed or asleep
+
+        // Idle detection
+        this.idleDetection = DEFAULT_SETTINGS.idleDetection;
+        this.idleThreshold = DEFAULT_SETTINGS.idleThreshold;
+        this.idleState = 'active';
+        this.idleSince = null;
+
+        // Only the tab in the focused browser window earns or drains; with
+        // another app in front nothing does
+        this.windowFocused = true;
+        this.focusedWindowId = null;
+
+        // Pomodoro state, null unless the session runs in pomodoro mode
+        this.pomodoro = null; // { phase, phaseStartedAt, phaseEndsAt, completed }
+
+        // Commitment lock, null unless the session was started locked. It
+        // stays around after the lock ends so the summary can report on it.
+        this.commitment = null; // { minutes, until, penalty, broken }
+        this.siteListsHeld = false; // list edits waiting for the lock to end
+        this.maxCommitMinutes = 8 * 60;
+
+        // Hosts let through the mindful pause this session: { host: expiresAt }
+        this.pausePasses = {};
+        this.pausePassDuration = 15 * 60 * 1000;
+        this.maxPauseReasonLength = 200; // matches the backend limit
         
         // Backend config
-        this.API_BASE = 'http://localhost:3000/api';
-        this.heartbeatBuffer = [];
+        this.API_BASE = DEFAULT_SETTINGS.apiBase;
+        this.outbox = new HeartbeatOutbox();
         this.syncInterval = 5 * 60 * 1000; // 5 minutes
         this.maxBufferSize = 10;
+        this.syncBatchSize = 100;
+        this.maxBatchesPerSync = 10; // stay under the heartbeat rate limit
+        this.isSyncing = false;
+        this.syncedBatches = 0; // lets a balance fetch notice batches acknowledged meanwhile
+        this.lowBalanceThreshold = 20; // coins
+        this.maxListSize = 50; // the backend keeps at most 50 patterns per list
+        this.badgeColors = { productive: '#4CAF50', distracting: '#f44336', neutral: '#757575' };
 
-        this.productiveSites = [
-            'github.com', 'stackoverflow.com', 'wikipedia.org', 'leetcode.com',
-            'coursera.org', 'udemy.com', 'edx.org', 'khanacademy.org',
-            'developer.mozilla.org', 'w3schools.com', 'freecodecamp.org'
-        ];
-        
-        this.distractingSites = [
-            'youtube.com', 'instagram.com', 'twitter.com', 'facebook.com',
-            'reddit.com', 'tiktok.com', 'netflix.com', 'twitch.tv',
-            'discord.com', 'whatsapp.com'
-        ];
+        // Engagement reports from activity.js, tabId -> report times. A report
+        // counts the page as in use for engagementGrace, which covers reading
+        // without touching anything. Mirrored to chrome.storage.session so a
+        // worker restart doesn't forget them.
+        this.pageActivity = new Map();
+        this.engagementGrace = 30 * 1000;
+        this.streakMilestones = [3, 7, 14, 30, 50, 100, 365];
+        this.settingsSyncInterval = 15; // minutes
+
+        // Site classification, rebuilt whenever the stored rules change
+        this.siteRules = SiteRules.fromSettings();
 
-        this.initialize();
+        // Distracting sites the user paid to visit: { pattern: expiresAt }
+        this.siteUnlocks = {};
+
+        // Site weights and daily caps from the backend; plain rates until fetched
+        this.economy = new CoinEconomy();
+        // Fractions of a coin left over from weighted ticks, carried to the next one
+        this.coinRemainder = { earn: 0, drain: 0 };
+
+        // Daily minute allowances, used instead of the drain in budget mode
+        this.distractionMode = DEFAULT_SETTINGS.distractionMode;
+        this.budgets = new DistractionBudgets();
+
+        // Listeners must be registered synchronously so events can wake the worker
+        this.setupListeners();
+        this.ready = this.initialize();
     }
 
     async initialize() {
@@ -36,7 +100,11 @@ class FocusCoinEngine {
         
         // Initialize storage
         const result = await chrome.storage.local.get([
-            'focusCoins', 'todayCoins', 'focusStreak', 'sessionActive'
+            'focusCoins', 'todayCoins', 'focusStreak', 'sessionActive',
+            'sessionId', 'lastUpdateTime', 'currentTab', 'idleState', 'idleSince',
+            'pomodoro', 'sessionSource', 'scheduleId', 'siteUnlocks', 'windowFocused',
+            'coinRemainder', 'sessionGoal', 'sessionStats', 'lastProductiveTab', 'drainVisit', 'commitment',
+            'pausePasses'
         ]);
 
         if (result.focusCoins === undefined) {
@@ -45,20 +113,87 @@ class FocusCoinEngine {
                 todayCoins: 0,
                 focusStreak: 0,
                 sessionActive: false,
-                lastActiveDate: new Date().toDateString()
+                lastActiveDate: localDayKey()
             });
         }
 
+        const settings = await getSettings(['apiBase', 'idleDetection', 'idleThreshold']);
+        this.API_BASE = settings.apiBase;
+        this.idleDetection = settings.idleDetection;
+        this.idleThreshold = settings.idleThreshold;
+
         this.isSessionActive = result.sessionActive || false;
-        this.setupListeners();
-        
+        this.configureIdleDetection();
+        await this.loadSiteRules();
+        await this.loadEconomy();
+        await this.loadBudgets();
+        await this.pruneUnlocks(result.siteUnlocks || {});
+
+        const { pageActivity } = await chrome.storage.session.get(['pageActivity']);
+        this.pageActivity = new Map(Object.entries(pageActivity || {})
+            .map(([tabId, reports]) => [Number(tabId), reports]));
+
+        // Restore the state of a session that outlived the previous worker
+        if (this.isSessionActive) {
+            this.sessionId = result.sessionId || crypto.randomUUID();
+            this.sessionSource = result.sessionSource || 'manual';
+            this.scheduleId = result.scheduleId || null;
+            this.lastUpdateTime = result.lastUpdateTime || Date.now();
+            this.currentTab = result.currentTab || null;
+            this.idleState = result.idleState || 'active';
+            this.idleSince = result.idleSince || null;
+            this.pomodoro = result.pomodoro || null;
+            this.windowFocused = result.windowFocused !== false;
+            this.coinRemainder = result.coinRemainder || { earn: 0, drain: 0 };
+            this.sessionGoal = result.sessionGoal || null;
+            this.sessionStats = result.sessionStats || SessionGoals.emptyStats();
+            this.lastProductiveTab = result.lastProductiveTab || null;
+            this.drainVisit = result.drainVisit || null;
+            this.commitment = result.commitment || null;
+            this.pausePasses = result.pausePasses || {};
+            this.focusedWindowId = this.currentTab?.windowId ?? null;
+        }
+
+        // Catch up on focus changes that happened while the worker was asleep
+        const lastFocused = await chrome.windows.getLastFocused().catch(() => null);
+        await this.handleWindowFocusChange(
+            lastFocused?.focused ? lastFocused.id : chrome.windows.WINDOW_ID_NONE
+        );
+
+        // Catch up on idle changes that happened while the worker was asleep
+        if (this.idleDetection) {
+            const idleState = await chrome.idle.queryState(Math.max(15, this.idleThreshold));
+            await this.handleIdleStateChange(idleState);
+        }
+
         if (this.isSessionActive) {
             this.startMonitoring();
         }
 
+        // Dynamic rules persist across restarts; make sure they match the session state
+        await this.updateBlockingRules();
+
+        // Start or stop anything a schedule changed while the browser was closed
+        await this.checkSchedules();
+
+        // Reset today's counter if midnight passed while the worker was asleep
+        await this.rolloverDay();
+
         // Set up periodic sync
-        setInterval(() => this.syncHeartbeats(), this.syncInterval);
+        await this.ensureAlarm('heartbeatSync', { periodInMinutes: this.syncInterval / 60000 });
+        await this.ensureAlarm('settingsSync', { periodInMinutes: this.settingsSyncInterval });
+
+        // Pick up site lists edited elsewhere (e.g. the dashboard)
+        this.syncSettings();
+
+        // Flush whatever a previous worker left in the outbox, then catch up on
+        // balance changes made elsewhere
+        this.syncHeartbeats(true).then(() => this.syncBalance());
 
+        // A streak earned on another device counts here too
+        this.syncStreak();
+
+        this.updateActionBadge();
         console.log('Focus Coin Engine initialized with UUID:', this.uuid);
     }
 
@@ -72,30 +207,263 @@ class FocusCoinEngine {
         }
     }
 
+    async ensureAlarm(name, alarmInfo) {
+        // Re-creating an alarm resets its schedule, so only create missing ones
+        const existing = await chrome.alarms.get(name);
+        if (!existing) {
+            await chrome.alarms.create(name, alarmInfo);
+        }
+    }
+
     setupListeners() {
-        chrome.tabs.onActivated.addListener((activeInfo) => {
-            this.currentTabId = activeInfo.tabId;
-            this.handleTabChange();
+        chrome.tabs.onActivated.addListener(async (activeInfo) => {
+            await this.ready;
+            // Switching tabs in a window the user isn't looking at changes nothing
+            if (activeInfo.windowId !== this.focusedWindowId) return;
+            this.handleTabChange(activeInfo.tabId);
         });
 
-        chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-            if (tabId === this.currentTabId && changeInfo.url) {
-                this.handleTabChange();
+        // Include devtools so inspecting a page doesn't read as leaving the browser
+        chrome.windows.onFocusChanged.addListener(async (windowId) => {
+            await this.ready;
+            this.handleWindowFocusChange(windowId);
+        }, { windowTypes: ['normal', 'popup', 'devtools'] });
+
+        chrome.tabs.onRemoved.addListener(async (tabId) => {
+            await this.ready;
+            if (this.pageActivity.delete(tabId)) await this.savePageActivity();
+        });
+
+        chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+            await this.ready;
+            if (!changeInfo.url) return;
+            if (this.currentTab && tabId === this.currentTab.id) {
+                this.handleTabChange(tabId);
             }
+            this.showMindfulPause(tab);
+        });
+
+        // Menus persist across restarts, so they're only (re)built on install
+        chrome.runtime.onInstalled.addListener(() => this.createContextMenus());
+        chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+            await this.ready;
+            this.handleContextMenuClick(info, tab);
+        });
+
+        chrome.commands.onCommand.addListener(async (command, tab) => {
+            await this.ready;
+            this.handleCommand(command, tab);
         });
 
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-            this.handleMessage(message, sender, sendResponse);
+            this.ready.then(() => this.handleMessage(message, sender, sendResponse));
+            return true; // keep the channel open for async responses
+        });
+
+        chrome.alarms.onAlarm.addListener(async (alarm) => {
+            await this.ready;
+            this.handleAlarm(alarm);
+        });
+
+        self.addEventListener('online', () => this.handleBackendReachable());
+
+        chrome.idle.onStateChanged.addListener(async (state) => {
+            await this.ready;
+            this.handleIdleStateChange(state);
         });
+
+        chrome.storage.onChanged.addListener(async (changes, areaName) => {
+            if (areaName !== 'local') return;
+            await this.ready;
+            if (changes.idleDetection || changes.idleThreshold) {
+                this.handleIdleSettingsChange(changes);
+            }
+            if (changes.siteRules || changes.productiveSites || changes.distractingSites || changes.neutralSites) {
+                // A locked session keeps the lists it started with; pick up
+                // the edits once the lock is over
+                if (this.isCommitted()) {
+                    this.siteListsHeld = true;
+                } else {
+                    await this.loadSiteRules();
+                    this.updateBlockingRules();
+                }
+            }
+            if (changes.economyConfig) {
+                await this.loadEconomy();
+            }
+            if (changes.distractionMode || changes.distractionBudgets || changes.budgetDefaultMinutes) {
+                await this.loadBudgets();
+                this.updateActionBadge();
+                this.updateDrainOverlay();
+            }
+            if (changes.strictBlocking || changes.strictAllowList) {
+                this.updateBlockingRules();
+            }
+            if (changes.focusSchedules) {
+                this.checkSchedules();
+            }
+            if (changes.apiBase) {
+                this.API_BASE = changes.apiBase.newValue || DEFAULT_SETTINGS.apiBase;
+            }
+            if (changes.focusCoins) {
+                this.updateActionBadge();
+            }
+        });
+    }
+
+    async loadSiteRules() {
+        const settings = await chrome.storage.local.get(['siteRules', ...SiteRules.LIST_KEYS]);
+        this.siteRules = SiteRules.fromSettings(settings);
+        this.siteListsHeld = false;
+    }
+
+    async loadEconomy() {
+        const { economyConfig } = await chrome.storage.local.get(['economyConfig']);
+        this.economy = new CoinEconomy(economyConfig || {});
+    }
+
+    async loadBudgets() {
+        const settings = await getSettings(['distractionMode', 'distractionBudgets', 'budgetDefaultMinutes']);
+        this.distractionMode = settings.distractionMode;
+        this.budgets = new DistractionBudgets(settings.distractionBudgets, settings.budgetDefaultMinutes);
+    }
+
+    // The allowance the URL draws from with what's left of it today, or null
+    // when distracting sites cost coins
+    async budgetStatus(url) {
+        if (this.distractionMode !== 'budget') return null;
+
+        const budget = this.budgets.budgetFor(url, this.economy);
+        if (!budget) return null;
+
+        const { budgetUsage } = await chrome.storage.local.get(['budgetUsage']);
+        return { ...budget, remainingMs: DistractionBudgets.remaining(budget, DistractionBudgets.usageFor(budgetUsage)) };
+    }
+
+    configureIdleDetection() {
+        chrome.idle.setDetectionInterval(Math.max(15, this.idleThreshold));
+    }
+
+    async handleIdleSettingsChange(changes) {
+        if (changes.idleThreshold) {
+            this.idleThreshold = changes.idleThreshold.newValue || DEFAULT_SETTINGS.idleThreshold;
+            this.configureIdleDetection();
+        }
+
+        if (changes.idleDetection) {
+            this.idleDetection = changes.idleDetection.newValue !== false;
+
+            // Turning detection off while idle resumes earning right away
+            if (!this.idleDetection && this.idleState !== 'active') {
+                await this.handleIdleStateChange('active', true);
+            }
+        }
+    }
+
+    async handleIdleStateChange(state, force = false) {
+        if (!this.idleDetection && !force) return;
+        const now = Date.now();
+
+        if (state !== 'active') {
+            if (this.idleState === 'active') {
+                // Settle the time spent before the user walked away
+                await this.updateCoins();
+                this.idleSince = now;
+                console.log(`User is ${state}, pausing coin accrual`);
+            }
+            this.idleState = state;
+            await this.persistSessionState();
+            return;
+        }
+
+        if (this.idleState === 'active') return;
+
+        const idleState = this.idleState;
+        const idleSince = this.idleSince;
+        this.idleState = 'active';
+        this.idleSince = null;
+        this.lastUpdateTime = now;
+        await this.persistSessionState();
+
+        // Mark the gap so stats don't read it as a hole in the session
+        if (this.isSessionActive && idleSince) {
+            await this.addHeartbeat({
+                timestamp: idleSince,
+                site: '',
+                siteType: 'neutral',
+                action: 'idle',
+                coinsChange: 0,
+                idleState: idleState,
+                idleDuration: now - idleSince
+            });
+        }
+
+        console.log(`User is active again after ${Math.round((now - (idleSince || now)) / 1000)}s`);
     }
 
     async handleMessage(message, sender, sendResponse) {
         switch (message.action) {
             case 'startSession':
-                await this.startSession();
+                await this.startSession({ goal: message.goal, commitMinutes: message.commitMinutes });
+                sendResponse({ success: true });
                 break;
             case 'stopSession':
-                await this.stopSession();
+                // A locked session only ends early when the user agrees to the penalty
+                if (this.isCommitted() && !message.breakCommitment) {
+                    sendResponse({ success: false, locked: true, error: 'The session is locked' });
+                    break;
+                }
+                sendResponse({ success: true, summary: await this.stopSession() });
+                break;
+            case 'pushSiteLists': {
+                // Sent after the edit is stored; it goes out once the lock is over
+                if (this.isCommitted()) {
+                    await chrome.storage.local.set({ siteListsDirty: true });
+                    sendResponse({ synced: false, locked: true });
+                    break;
+                }
+                const synced = await this.pushSiteLists();
+                const { siteListsRejected } = await chrome.storage.local.get(['siteListsRejected']);
+                sendResponse({ synced, rejected: siteListsRejected || null });
+                break;
+            }
+            case 'pushSchedules':
+                sendResponse({ synced: await this.pushSchedules() });
+                break;
+            case 'pushEconomy':
+                sendResponse({ synced: await this.pushEconomy() });
+                break;
+            case 'pushPrivacy':
+                sendResponse({ synced: await this.pushPrivacy() });
+                break;
+            case 'pushBudgets':
+                sendResponse({ synced: await this.pushBudgets() });
+                break;
+            case 'purchaseUnlock':
+                sendResponse(await this.purchaseUnlock(message.site, message.minutes, { incognito: sender.tab?.incognito }));
+                break;
+            case 'signIn':
+                sendResponse(await this.signIn({ link: message.link !== false }));
+                break;
+            case 'unlinkAccount':
+                sendResponse(await this.unlinkAccount());
+                break;
+            case 'getDrainStatus':
+                sendResponse({ status: sender.tab ? await this.drainStatus(sender.tab.id) : null });
+                break;
+            case 'returnToWork':
+                sendResponse(await this.returnToWork(sender.tab));
+                break;
+            case 'pauseChoice':
+                sendResponse(await this.recordPauseChoice(message, sender.tab));
+                break;
+            case 'pageActivity':
+                if (sender.tab) await this.recordPageActivity(sender.tab.id);
+                sendResponse({ success: true });
+                break;
+            case 'flushHeartbeats':
+                await this.syncHeartbeats(true);
+                sendResponse({ pending: await this.outbox.size() });
                 break;
             case 'getCoins':
                 const result = await chrome.storage.local.get(['focusCoins', 'todayCoins']);
@@ -104,208 +472,1910 @@ class FocusCoinEngine {
                     todayCoins: result.todayCoins || 0
                 });
                 break;
+            default:
+                sendResponse({ error: 'Unknown action' });
+        }
+    }
+
+    // "Classify" menu on pages and links: menu ids are classify:<scope>:<type>
+    async createContextMenus() {
+        await chrome.contextMenus.removeAll();
+        chrome.contextMenus.create({
+            id: 'classify',
+            title: 'Classify with Focus Coin',
+            contexts: ['page', 'link']
+        });
+
+        const labels = { productive: '✅ Productive', distracting: '⛔ Distracting', neutral: '⚪ Neutral' };
+        [['host', 'Whole site'], ['path', 'This path only']].forEach(([scope, scopeLabel], index) => {
+            if (index > 0) {
+                chrome.contextMenus.create({
+                    id: 'classify:separator',
+                    parentId: 'classify',
+                    type: 'separator',
+                    contexts: ['page', 'link']
+                });
+            }
+            Object.entries(labels).forEach(([type, label]) => {
+                chrome.contextMenus.create({
+                    id: `classify:${scope}:${type}`,
+                    parentId: 'classify',
+                    title: `${scopeLabel}: ${label}`,
+                    contexts: ['page', 'link']
+                });
+            });
+        });
+    }
+
+    async handleContextMenuClick(info, tab) {
+        const [menu, scope, type] = String(info.menuItemId).split(':');
+        if (menu !== 'classify' || !type) return;
+
+        // On a link, classify where the link goes rather than the page it's on
+        await this.classifySite(info.linkUrl || info.pageUrl || tab?.url, type, { path: scope === 'path' });
+    }
+
+    // Keyboard shortcuts declared under "commands" in the manifest
+    async handleCommand(command, tab) {
+        switch (command) {
+            case 'start-session': {
+                if (this.isSessionActive) return;
+                // Same goal the popup would preselect
+                const { lastGoal } = await chrome.storage.local.get(['lastGoal']);
+                await this.startSession({ goal: lastGoal });
+                break;
+            }
+            case 'stop-session':
+                // Breaking a lock costs coins, so that takes a deliberate click in the popup
+                if (this.isCommitted()) {
+                    this.notify('commitment', '🔒 Session locked',
+                        `${this.commitmentMinutesLeft()} more min. Breaking the lock early costs ${this.commitment.penalty} coins.`);
+                    break;
+                }
+                await this.stopSession();
+                break;
+            case 'mark-productive':
+                await this.classifySite(tab?.url, 'productive');
+                break;
+            case 'mark-distracting':
+                await this.classifySite(tab?.url, 'distracting');
+                break;
         }
     }
 
-    async startSession() {
+    async handleAlarm(alarm) {
+        switch (alarm.name) {
+            case 'coinTick':
+                await this.updateCoins();
+                await this.checkGoalProgress();
+                // Regular sends happen on heartbeatSync or a full buffer; the
+                // tick only picks up retries once their backoff expires
+                if (await this.outbox.isRetryDue()) this.syncHeartbeats();
+                break;
+            case 'heartbeatSync':
+                this.syncHeartbeats();
+                break;
+            case 'pomodoroPhase':
+                await this.advancePomodoro();
+                break;
+            case 'settingsSync':
+                await this.syncSettings();
+                this.syncStreak();
+                this.syncBalance();
+                break;
+            case 'dayRollover':
+                await this.rolloverDay();
+                break;
+            case 'scheduleCheck':
+                await this.checkSchedules();
+                break;
+            case 'commitmentEnd':
+                await this.endCommitment();
+                break;
+            default:
+                if (alarm.name.startsWith('unlock:')) {
+                    await this.expireUnlock(alarm.name.slice('unlock:'.length));
+                }
+        }
+    }
+
+    async persistSessionState() {
+        await chrome.storage.local.set({
+            sessionId: this.sessionId,
+            lastUpdateTime: this.lastUpdateTime,
+            currentTab: this.currentTab,
+            idleState: this.idleState,
+            idleSince: this.idleSince,
+            windowFocused: this.windowFocused,
+            coinRemainder: this.coinRemainder,
+            sessionSource: this.sessionSource,
+            scheduleId: this.scheduleId,
+            sessionGoal: this.sessionGoal,
+            sessionStats: this.sessionStats,
+            lastProductiveTab: this.lastProductiveTab,
+            drainVisit: this.drainVisit,
+            commitment: this.commitment,
+            pausePasses: this.pausePasses
+        });
+    }
+
+    async startSession({ source = 'manual', scheduleId = null, goal = null, commitMinutes = 0 } = {}) {
         this.isSessionActive = true;
         this.sessionId = crypto.randomUUID();
+        this.sessionSource = source;
+        this.scheduleId = scheduleId;
+        this.sessionGoal = SessionGoals.normalize(goal);
+        this.sessionStats = SessionGoals.emptyStats();
         this.lastUpdateTime = Date.now();
+
+        // The penalty is fixed when the lock starts, so changing the setting
+        // mid-session doesn't make breaking it cheaper
+        const minutes = Math.min(Math.floor(Number(commitMinutes) || 0), this.maxCommitMinutes);
+        this.commitment = null;
+        if (minutes > 0) {
+            const { commitmentPenalty } = await getSettings(['commitmentPenalty']);
+            this.commitment = {
+                minutes,
+                until: this.lastUpdateTime + minutes * 60 * 1000,
+                penalty: commitmentPenalty,
+                broken: false
+            };
+            await chrome.alarms.create('commitmentEnd', { when: this.commitment.until });
+        }
+
+        const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+        if (tab) {
+            await this.trackTab(tab.id);
+        }
         
         await chrome.storage.local.set({
             sessionActive: true,
             sessionStartTime: this.lastUpdateTime
         });
+        await this.persistSessionState();
+
+        const { pomodoroEnabled } = await getSettings(['pomodoroEnabled']);
+        if (pomodoroEnabled) {
+            await this.enterPomodoroPhase('work', 0);
+        }
+
+        await this.updateBlockingRules();
+        await this.blockOpenDistractingTabs();
         
-        // Notify backend
-        await this.apiCall('/sessions/start', {
-            uuid: this.uuid,
-            sessionId: this.sessionId,
-            timestamp: this.lastUpdateTime
-        });
+        // Notify backend; the session runs offline if it can't be reached
+        try {
+            await this.apiCall('/sessions/start', {
+                uuid: this.uuid,
+                sessionId: this.sessionId,
+                timestamp: this.lastUpdateTime,
+                source: this.sessionSource,
+                scheduleId: this.scheduleId,
+                goal: this.sessionGoal,
+                commitment: this.commitment && { minutes: this.commitment.minutes }
+            });
+        } catch (error) {
+            console.warn('Backend unreachable, starting session offline');
+        }
+
+        this.syncSettings();
         
         this.startMonitoring();
-        console.log('Focus session started:', this.sessionId);
+        this.updateActionBadge();
+        console.log(`Focus session started (${this.sessionSource}):`, this.sessionId);
     }
 
-    async stopSession() {
-        this.isSessionActive = false;
-        
-        if (this.updateTimer) {
-            clearInterval(this.updateTimer);
-            this.updateTimer = null;
+    async stopSession({ source = 'manual' } = {}) {
+        if (!this.isSessionActive) return null;
+
+        // Only the user can break a lock; anything else waits for commitmentEnd
+        if (this.isCommitted() && source !== 'manual') return null;
+
+        // Stopping by hand inside a schedule window means "not today"; don't
+        // let the schedule start it again until the window closes
+        if (source === 'manual') {
+            await this.skipActiveSchedule();
+        }
+
+        // Credit the time since the last tick before closing the session
+        await this.updateCoins();
+        if (this.isCommitted()) {
+            await this.breakCommitment();
         }
+        this.isSessionActive = false;
+        await this.stopMonitoring();
+        await this.stopPomodoro();
+        if (this.siteListsHeld) await this.loadSiteRules();
+        await this.updateBlockingRules();
+
+        const summary = await this.buildSessionSummary();
         
         // Sync remaining heartbeats
-        await this.syncHeartbeats();
+        await this.syncHeartbeats(true);
         
         // Notify backend
-        await this.apiCall('/sessions/stop', {
-            uuid: this.uuid,
-            sessionId: this.sessionId
-        });
+        try {
+            await this.apiCall('/sessions/stop', {
+                uuid: this.uuid,
+                sessionId: this.sessionId,
+                summary: await this.privateSummary(summary)
+            });
+        } catch (error) {
+            console.warn('Backend unreachable, session stop not reported');
+        }
         
+        this.sessionId = null;
+        this.sessionSource = null;
+        this.scheduleId = null;
+        this.sessionGoal = null;
+        this.sessionStats = SessionGoals.emptyStats();
+        this.currentTab = null;
+        this.lastProductiveTab = null;
+        this.drainVisit = null;
+        this.commitment = null;
+        this.pausePasses = {};
+        await chrome.alarms.clear('commitmentEnd');
+
         await chrome.storage.local.set({
             sessionActive: false,
-            sessionStartTime: null
+            sessionStartTime: null,
+            lastSessionSummary: summary
         });
-        
-        this.sessionId = null;
+        await this.persistSessionState();
+
+        this.notifySummary(summary);
+        this.updateActionBadge();
+        this.updateDrainOverlay();
         console.log('Focus session stopped');
+        return summary;
     }
 
-    startMonitoring() {
-        if (this.updateTimer) {
-            clearInterval(this.updateTimer);
-        }
-        
-        this.updateCoins();
-        this.updateTimer = setInterval(() => {
-            this.updateCoins();
-        }, this.coinUpdateInterval);
+    isCommitted(now = Date.now()) {
+        return this.isSessionActive && !!this.commitment && !this.commitment.broken && this.commitment.until > now;
     }
 
-    async handleTabChange() {
-        if (!this.isSessionActive) return;
-        this.lastUpdateTime = Date.now();
-        this.updateCoins();
+    commitmentMinutesLeft() {
+        return Math.ceil((this.commitment.until - Date.now()) / 60000);
     }
 
-    async updateCoins() {
-        if (!this.isSessionActive) return;
-
-        try {
-            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-            if (!tab || !tab.url) return;
+    // Ending a locked session early costs the penalty agreed to at the start.
+    // The backend applies it like any other spend, never below zero.
+    async breakCommitment() {
+        const now = Date.now();
+        const { minutes, until, penalty } = this.commitment;
+        const { focusCoins = 0 } = await chrome.storage.local.get(['focusCoins']);
 
-            const url = new URL(tab.url);
-            const domain = url.hostname.replace('www.', '');
-            const siteType = this.getSiteType(domain);
-            
-            if (siteType === 'neutral') return;
-            
-            const result = await chrome.storage.local.get(['focusCoins', 'todayCoins']);
-            let currentCoins = result.focusCoins || 0;
-            let todayCoins = result.todayCoins || 0;
+        this.commitment.broken = true;
+        this.sessionStats.coinsLost += Math.min(penalty, focusCoins);
+        await chrome.storage.local.set({ focusCoins: Math.max(0, focusCoins - penalty) });
+        await this.persistSessionState();
 
-            const now = Date.now();
-            const timeDiff = now - this.lastUpdateTime;
-            const intervalsElapsed = Math.floor(timeDiff / this.coinUpdateInterval);
+        await this.addHeartbeat({
+            timestamp: now,
+            site: '',
+            siteType: 'neutral',
+            action: 'commitment_break',
+            coinsChange: -penalty,
+            commitmentMinutes: minutes,
+            lockRemaining: until - now
+        });
 
-            if (intervalsElapsed > 0) {
-                let coinChange = 0;
+        console.log(`Commitment broken with ${Math.ceil((until - now) / 60000)} min left, -${penalty} coins`);
+    }
 
-                if (siteType === 'productive') {
-                    coinChange = intervalsElapsed * 3;
-                    currentCoins += coinChange;
-                    todayCoins += coinChange;
-                } else if (siteType === 'distracting') {
-                    coinChange = intervalsElapsed * -4;
-                    if (currentCoins > 0) {
-                        currentCoins = Math.max(0, currentCoins + coinChange);
-                    } else {
-                        await this.blockSite(tab, domain);
-                        return;
-                    }
-                }
+    // The lock ran its course: lift the enforced blocking, the session carries on
+    async endCommitment() {
+        if (!this.isSessionActive || !this.commitment || this.commitment.broken) return;
 
-                // Save locally
-                await chrome.storage.local.set({
-                    focusCoins: currentCoins,
-                    todayCoins: todayCoins
-                });
+        if (this.siteListsHeld) await this.loadSiteRules();
+        await this.updateBlockingRules();
+        this.notify('commitment', '🔓 Commitment kept',
+            `Your ${this.commitment.minutes}-minute lock is over. Stop whenever you're ready.`);
 
-                // Add to heartbeat buffer
-                this.addHeartbeat({
-                    timestamp: now,
-                    site: domain,
-                    siteType: siteType,
-                    action: siteType === 'productive' ? 'focus' : 'distract',
-                    coinsChange: coinChange,
-                    tabId: tab.id,
-                    url: tab.url
-                });
+        // A scheduled session whose window closed during the lock ends now
+        if (this.sessionSource === 'scheduled') {
+            await this.checkSchedules();
+        }
+    }
 
-                // Notify popup
-                try {
-                    await chrome.runtime.sendMessage({
-                        action: 'coinsUpdated',
-                        coins: currentCoins,
-                        change: coinChange,
-                        siteType: siteType,
-                        domain: domain
-                    });
-                } catch (error) {
-                    // Popup closed, ignore
-                }
+    async buildSessionSummary() {
+        const { sessionStartTime } = await chrome.storage.local.get(['sessionStartTime']);
+        const endedAt = Date.now();
+        const startedAt = sessionStartTime || endedAt;
+        const stats = this.sessionStats;
 
-                this.lastUpdateTime = now;
-            }
+        const summary = {
+            sessionId: this.sessionId,
+            source: this.sessionSource,
+            startedAt,
+            endedAt,
+            durationMs: endedAt - startedAt,
+            productiveMs: stats.productiveMs,
+            distractingMs: stats.distractingMs,
+            coinsEarned: stats.coinsEarned,
+            coinsLost: stats.coinsLost,
+            topSites: SessionGoals.topSites(stats),
+            goal: this.sessionGoal ? { type: this.sessionGoal.type, target: this.sessionGoal.target } : null,
+            goalMet: null,
+            commitment: this.commitment
+                ? { minutes: this.commitment.minutes, broken: this.commitment.broken }
+                : null
+        };
 
-        } catch (error) {
-            console.error('Error updating coins:', error);
+        if (this.sessionGoal) {
+            summary.goalMet = SessionGoals.progress(this.sessionGoal, stats, summary.durationMs, true).met;
         }
+
+        return summary;
     }
 
-    addHeartbeat(data) {
-        this.heartbeatBuffer.push({
-            ...data,
-            sessionId: this.sessionId
-        });
+    notifySummary(summary) {
+        const minutes = (ms) => Math.round(ms / 60000);
+        const lines = [
+            `${minutes(summary.productiveMs)} min productive, ${minutes(summary.distractingMs)} min distracted`,
+            `+${summary.coinsEarned} / -${summary.coinsLost} coins`
+        ];
 
-        // Auto-sync if buffer is full
-        if (this.heartbeatBuffer.length >= this.maxBufferSize) {
-            this.syncHeartbeats();
+        if (summary.goal) {
+            lines.push(`${summary.goalMet ? '🎯 Goal met' : '❌ Goal missed'}: ${SessionGoals.describe(summary.goal)}`);
+        }
+        if (summary.commitment?.broken) {
+            lines.push(`💔 Broke a ${summary.commitment.minutes}-min lock early`);
         }
+
+        const title = summary.source === 'scheduled' ? '📅 Scheduled session over' : '✅ Focus session complete';
+        this.notify('sessionSummary', title, lines.join('\n'));
     }
 
-    async syncHeartbeats() {
-        if (this.heartbeatBuffer.length === 0) return;
+    // Tell the user once when a duration or coin goal is reached, or when a
+    // distraction budget runs out
+    async checkGoalProgress() {
+        if (!this.isSessionActive || !this.sessionGoal || this.sessionGoal.reached) return;
 
-        try {
-            const response = await this.apiCall('/sessions/heartbeats', {
-                uuid: this.uuid,
-                heartbeats: this.heartbeatBuffer
+        const { sessionStartTime } = await chrome.storage.local.get(['sessionStartTime']);
+        const progress = SessionGoals.progress(
+            this.sessionGoal, this.sessionStats, Date.now() - (sessionStartTime || Date.now())
+        );
+
+        if (progress.met) {
+            this.notify('sessionGoal', '🎯 Goal reached!', `${SessionGoals.describe(this.sessionGoal)}. Keep going or call it a session.`);
+        } else if (progress.failed) {
+            this.notify('sessionGoal', '⚠️ Distraction budget used up', `${SessionGoals.describe(this.sessionGoal)}. Time to get back on track.`);
+        } else {
+            return;
+        }
+
+        this.sessionGoal.reached = true;
+        await this.persistSessionState();
+    }
+
+    // Running totals for the summary and goal progress
+    recordSessionStats(site, siteType, durationMs, coinChange) {
+        const stats = this.sessionStats;
+
+        if (siteType === 'productive') {
+            stats.productiveMs += durationMs;
+        } else if (siteType === 'distracting' && !this.isOnBreak()) {
+            stats.distractingMs += durationMs;
+        }
+
+        if (coinChange > 0) {
+            stats.coinsEarned += coinChange;
+        } else {
+            stats.coinsLost -= coinChange;
+        }
+
+        const entry = stats.sites[site] || { ms: 0, coins: 0, type: siteType };
+        entry.ms += durationMs;
+        entry.coins += coinChange;
+        stats.sites[site] = entry;
+    }
+
+    async startMonitoring() {
+        if (this.updateTimer) {
+            clearInterval(this.updateTimer);
+        }
+
+        // The alarm survives worker restarts; the interval only gives finer
+        // updates while the worker happens to be awake
+        await this.ensureAlarm('coinTick', { periodInMinutes: this.tickAlarmPeriod });
+        
+        this.updateCoins();
+        this.updateTimer = setInterval(() => {
+            this.updateCoins();
+        }, this.coinUpdateInterval);
+    }
+
+    async stopMonitoring() {
+        if (this.updateTimer) {
+            clearInterval(this.updateTimer);
+            this.updateTimer = null;
+        }
+        await chrome.alarms.clear('coinTick');
+    }
+
+    // Alarms, startup and schedule edits can all trigger a check; run them one
+    // at a time so a window never starts two sessions
+    checkSchedules() {
+        this.scheduleCheck = this.scheduleCheck
+            .then(() => this.applySchedules())
+            .catch(error => console.error('Error applying schedules:', error));
+        return this.scheduleCheck;
+    }
+
+    // Bring the session in line with the user's schedules, then arm an alarm
+    // for the next window start or end
+    async applySchedules() {
+        const { focusSchedules, scheduleSkip } = await chrome.storage.local.get(['focusSchedules', 'scheduleSkip']);
+        const now = new Date();
+        const active = FocusSchedules.activeAt(focusSchedules, now);
+
+        // Manual sessions are left alone; scheduled ones end with their window,
+        // or with their lock if that runs past it (see endCommitment)
+        if (this.isSessionActive && this.sessionSource === 'scheduled' && !this.isCommitted() &&
+            (!active || active.schedule.id !== this.scheduleId)) {
+            await this.stopSession({ source: 'scheduled' });
+        }
+
+        const skipped = scheduleSkip && active &&
+            scheduleSkip.id === active.schedule.id && scheduleSkip.until > now.getTime();
+
+        if (!this.isSessionActive && active && !skipped) {
+            await this.startSession({ source: 'scheduled', scheduleId: active.schedule.id });
+            this.notify('schedule', '📅 Scheduled focus session started',
+                `${FocusSchedules.describe(active.schedule)}. Stop it from the popup to skip today.`);
+        }
+
+        const next = FocusSchedules.nextBoundary(focusSchedules, now);
+        if (next) {
+            await chrome.alarms.create('scheduleCheck', { when: next });
+        } else {
+            await chrome.alarms.clear('scheduleCheck');
+        }
+    }
+
+    async skipActiveSchedule() {
+        const { focusSchedules } = await chrome.storage.local.get(['focusSchedules']);
+        const active = FocusSchedules.activeAt(focusSchedules);
+        if (!active) return;
+
+        await chrome.storage.local.set({
+            scheduleSkip: { id: active.schedule.id, until: active.end.getTime() }
+        });
+    }
+
+    async getPomodoroSettings() {
+        const settings = await getSettings([
+            'pomodoroWork', 'pomodoroShortBreak', 'pomodoroLongBreak', 'pomodoroCycles'
+        ]);
+
+        // Lengths in minutes, keyed by phase name
+        return {
+            work: settings.pomodoroWork,
+            shortBreak: settings.pomodoroShortBreak,
+            longBreak: settings.pomodoroLongBreak,
+            cycles: settings.pomodoroCycles
+        };
+    }
+
+    async enterPomodoroPhase(phase, completed) {
+        const settings = await this.getPomodoroSettings();
+        const now = Date.now();
+
+        this.pomodoro = {
+            phase,
+            phaseStartedAt: now,
+            phaseEndsAt: now + settings[phase] * 60 * 1000,
+            completed
+        };
+
+        await chrome.storage.local.set({ pomodoro: this.pomodoro });
+        await chrome.alarms.create('pomodoroPhase', { when: this.pomodoro.phaseEndsAt });
+    }
+
+    async advancePomodoro() {
+        if (!this.isSessionActive || !this.pomodoro) return;
+
+        // Settle coins under the rules of the phase that just ended
+        await this.updateCoins();
+
+        const { phase, phaseStartedAt, completed } = this.pomodoro;
+        const settings = await this.getPomodoroSettings();
+        const now = Date.now();
+
+        if (phase === 'work') {
+            const count = completed + 1;
+
+            await this.addHeartbeat({
+                timestamp: now,
+                site: '',
+                siteType: 'neutral',
+                action: 'pomodoro',
+                coinsChange: 0,
+                duration: now - phaseStartedAt,
+                pomodoroPhase: phase,
+                pomodoroCount: count
+            });
+
+            const nextPhase = count % settings.cycles === 0 ? 'longBreak' : 'shortBreak';
+            await this.enterPomodoroPhase(nextPhase, count);
+            await this.updateBlockingRules();
+
+            this.notify('pomodoro', '🍅 Pomodoro complete!',
+                `${count} done this session. Take a ${settings[nextPhase]} minute break, distracting sites are free.`);
+        } else {
+            await this.enterPomodoroPhase('work', completed);
+            await this.updateBlockingRules();
+            await this.blockOpenDistractingTabs();
+
+            this.notify('pomodoro', '⏰ Break is over',
+                `Back to focus for ${settings.work} minutes.`);
+        }
+
+        console.log(`Pomodoro phase: ${this.pomodoro.phase}`);
+    }
+
+    async stopPomodoro() {
+        this.pomodoro = null;
+        await chrome.alarms.clear('pomodoroPhase');
+        await chrome.storage.local.set({ pomodoro: null });
+    }
+
+    isOnBreak() {
+        return !!this.pomodoro && this.pomodoro.phase !== 'work';
+    }
+
+    // Notifications the user can switch off in the options, keyed by setting
+    async notifyIfEnabled(setting, id, title, message) {
+        const settings = await getSettings([setting]);
+        if (settings[setting]) this.notify(id, title, message);
+    }
+
+    // Badge and level-up events from a heartbeat sync response
+    async notifyAchievements(events) {
+        for (const event of events) {
+            if (event.type === 'badge') {
+                await this.notifyIfEnabled('notifyBadges', `badge:${event.badge.badgeId}`,
+                    `${event.badge.icon} New badge: ${event.badge.name}`, event.badge.description);
+            } else if (event.type === 'levelUp') {
+                await this.notifyIfEnabled('notifyLevelUp', 'levelUp',
+                    `⭐ Level ${event.level}!`, 'Your focus is paying off. Keep it up!');
+            }
+        }
+    }
+
+    notify(id, title, message) {
+        chrome.notifications.create(id, {
+            type: 'basic',
+            iconUrl: 'assets/icon128.png',
+            title,
+            message,
+            priority: 1
+        });
+    }
+
+    async trackTab(tabId) {
+        try {
+            const tab = await chrome.tabs.get(tabId);
+            this.currentTab = { id: tab.id, windowId: tab.windowId, url: tab.url, incognito: tab.incognito };
+            if (this.getSiteType(tab.url) === 'productive') {
+                this.lastProductiveTab = { id: tab.id, windowId: tab.windowId, url: tab.url };
+            }
+        } catch (error) {
+            // Tab was closed before we could read it
+            this.currentTab = null;
+        }
+    }
+
+    async handleTabChange(tabId) {
+        if (!this.isSessionActive) return;
+
+        // Settle the time spent on the previous tab before switching
+        await this.updateCoins();
+        await this.trackTab(tabId);
+
+        if (this.idleState === 'active') {
+            this.lastUpdateTime = Date.now();
+        }
+        await this.persistSessionState();
+        this.updateCoins();
+    }
+
+    async handleWindowFocusChange(windowId) {
+        const focused = windowId !== chrome.windows.WINDOW_ID_NONE;
+        if (focused === this.windowFocused && (!focused || windowId === this.focusedWindowId)) return;
+
+        // Settle the time spent in front of the previous window
+        if (this.isSessionActive && this.windowFocused) {
+            await this.updateCoins();
+        }
+
+        this.windowFocused = focused;
+        this.focusedWindowId = focused ? windowId : null;
+        if (!this.isSessionActive) return;
+
+        if (focused) {
+            const [tab] = await chrome.tabs.query({ active: true, windowId });
+            if (tab) {
+                await this.trackTab(tab.id);
+            }
+            // Time spent in another app doesn't count
+            if (this.idleState === 'active') {
+                this.lastUpdateTime = Date.now();
+            }
+        }
+
+        await this.persistSessionState();
+        console.log(focused ? `Window ${windowId} focused` : 'Browser lost focus, pausing coin accrual');
+    }
+
+    // Ticks, alarms and tab events all land here; run them one at a time so
+    // the same interval is never credited twice
+    updateCoins() {
+        this.coinUpdate = this.coinUpdate
+            .then(() => this.processCoinUpdate())
+            .then(() => this.updateActionBadge())
+            .then(() => this.updateDrainOverlay());
+        return this.coinUpdate;
+    }
+
+    // Live session state on the toolbar icon: the balance left while on a
+    // distracting site, elapsed minutes otherwise
+    async updateActionBadge() {
+        try {
+            if (!this.isSessionActive) {
+                await chrome.action.setBadgeText({ text: '' });
+                return;
+            }
+
+            const { focusCoins = 0, sessionStartTime } = await chrome.storage.local.get(['focusCoins', 'sessionStartTime']);
+            const siteType = this.currentTab ? this.getSiteType(this.currentTab.url) : 'neutral';
+            const budget = siteType === 'distracting' ? await this.budgetStatus(this.currentTab.url) : null;
+
+            // Badges fit about four characters
+            let text;
+            if (budget) {
+                // Minutes of the allowance left
+                const minutes = Math.ceil(budget.remainingMs / 60000);
+                text = minutes < 100 ? `${minutes}m` : `${Math.floor(minutes / 60)}h`;
+            } else if (siteType === 'distracting') {
+                text = focusCoins < 1000 ? String(focusCoins) : `${Math.floor(focusCoins / 1000)}k`;
+            } else {
+                const minutes = Math.floor((Date.now() - (sessionStartTime || Date.now())) / 60000);
+                text = minutes < 100 ? `${minutes}m` : `${Math.floor(minutes / 60)}h`;
+            }
+
+            await chrome.action.setBadgeBackgroundColor({ color: this.badgeColors[siteType] });
+            await chrome.action.setBadgeText({ text });
+        } catch (error) {
+            console.error('Error updating action badge:', error);
+        }
+    }
+
+    // Coins lost on the current distracting page since the user arrived there
+    recordDrainVisit(tab, coinsLost) {
+        const site = SiteRules.parseUrl(tab.url).host;
+        if (this.drainVisit?.tabId !== tab.id || this.drainVisit.site !== site) {
+            this.drainVisit = { tabId: tab.id, site, coinsLost: 0 };
+        }
+        this.drainVisit.coinsLost += coinsLost;
+    }
+
+    // What the overlay on a distracting page shows, or null when that tab
+    // isn't draining
+    async drainStatus(tabId) {
+        const tab = this.currentTab;
+        if (!this.isSessionActive || !tab?.url || tab.id !== tabId) return null;
+        if (this.getSiteType(tab.url) !== 'distracting' || this.isOnBreak() || this.isUnlocked(tab.url)) return null;
+        if (this.distractionMode === 'budget' || tab.incognito) return null;
+
+        const { drainOverlay, drainRate } = await getSettings(['drainOverlay', 'drainRate']);
+        if (!drainOverlay) return null;
+
+        const { focusCoins = 0 } = await chrome.storage.local.get(['focusCoins']);
+        const site = SiteRules.parseUrl(tab.url).host;
+        const coinsPerSecond = drainRate * this.economy.weightFor(tab.url).drainMultiplier / (this.coinUpdateInterval / 1000);
+        const visit = this.drainVisit?.tabId === tabId && this.drainVisit.site === site ? this.drainVisit : null;
+
+        return {
+            site,
+            balance: focusCoins,
+            coinsPerSecond,
+            coinsLost: visit?.coinsLost || 0,
+            secondsLeft: coinsPerSecond > 0 ? Math.ceil(focusCoins / coinsPerSecond) : null,
+            // Nothing drains while idle or in another app
+            paused: this.idleState !== 'active' || !this.windowFocused,
+            at: Date.now()
+        };
+    }
+
+    // Push the drain to the overlay in the current tab, and take it down in
+    // a tab the user has left
+    async updateDrainOverlay() {
+        try {
+            const tabId = this.currentTab?.id ?? null;
+            const status = tabId !== null ? await this.drainStatus(tabId) : null;
+            const send = (id, value) => chrome.tabs.sendMessage(id, { action: 'drainStatus', status: value })
+                .catch(() => {
+                    // No overlay script in that tab (closed, or a page it can't run on)
+                });
+
+            if (this.overlayTabId !== null && this.overlayTabId !== tabId) {
+                send(this.overlayTabId, null);
+            }
+            if (status || this.overlayTabId === tabId) {
+                send(tabId, status);
+            }
+            this.overlayTabId = status ? tabId : null;
+        } catch (error) {
+            console.error('Error updating drain overlay:', error);
+        }
+    }
+
+    // Bring back the last productive tab, or reopen its page if it was closed
+    async returnToWork(fromTab) {
+        const target = this.lastProductiveTab;
+        if (!target) {
+            return { success: false, error: 'No productive page yet this session' };
+        }
+
+        try {
+            const tab = await chrome.tabs.get(target.id);
+            await chrome.tabs.update(tab.id, { active: true });
+            await chrome.windows.update(tab.windowId, { focused: true });
+        } catch (error) {
+            // The tab is gone; reopen its page where the user is
+            await chrome.tabs.update(fromTab.id, { url: target.url });
+            return { success: true, reopened: true };
+        }
+
+        return { success: true };
+    }
+
+    // Speed bump on the way into a distracting site: send the tab through the
+    // pause page, unless the user already went through it for that host
+    // recently. Strict blocking, an empty balance and, in budget mode, a
+    // used-up allowance block outright instead.
+    async showMindfulPause(tab) {
+        if (!this.isSessionActive || !tab?.url || !/^https?:/.test(tab.url)) return;
+        if (this.getSiteType(tab.url) !== 'distracting' || this.isOnBreak() || this.isUnlocked(tab.url)) return;
+
+        const { mindfulPause } = await getSettings(['mindfulPause']);
+        if (!mindfulPause || (await this.isStrictBlockingActive())) return;
+
+        const host = SiteRules.parseUrl(tab.url).host;
+        if (this.distractionMode === 'budget') {
+            const budget = await this.budgetStatus(tab.url);
+            if (budget && budget.remainingMs <= 0) {
+                await this.blockSite(tab, host, { reason: 'budget' });
+                return;
+            }
+        } else {
+            const { focusCoins = 0 } = await chrome.storage.local.get(['focusCoins']);
+            if (focusCoins <= 0) {
+                await this.blockSite(tab, host);
+                return;
+            }
+        }
+
+        if (this.pausePasses[host] > Date.now()) return;
+
+        await this.blockSite(tab, host, { reason: 'pause' });
+    }
+
+    // What the user did on the pause page: 'continue' lets the host through
+    // for a while, 'leave' means the pause worked. Either way the choice and
+    // the reason they gave go to the backend.
+    async recordPauseChoice({ url, choice, reason, waitedMs }, tab) {
+        if (!['continue', 'leave'].includes(choice) || !SiteRules.parseUrl(url)) {
+            return { success: false, error: 'Invalid pause choice' };
+        }
+        if (!this.isSessionActive) return { success: true };
+
+        const now = Date.now();
+        const host = SiteRules.parseUrl(url).host;
+        if (choice === 'continue') {
+            this.pausePasses[host] = now + this.pausePassDuration;
+            await this.persistSessionState();
+        }
+
+        await this.addHeartbeat({
+            timestamp: now,
+            site: host,
+            siteType: 'distracting',
+            action: 'pause',
+            coinsChange: 0,
+            url,
+            incognito: tab?.incognito,
+            pauseChoice: choice,
+            pauseReason: typeof reason === 'string' && reason.trim()
+                ? reason.trim().slice(0, this.maxPauseReasonLength)
+                : undefined,
+            pauseWaited: Number(waitedMs) || 0
+        });
+
+        console.log(`Mindful pause on ${host}: ${choice}`);
+        return { success: true };
+    }
+
+    // Put the site's host, or host and path, on the productive, distracting
+    // or neutral list, the same lists the options page edits. Takes effect
+    // right away and syncs to the backend.
+    async classifySite(url, type, { path = false } = {}) {
+        if (this.isCommitted()) {
+            this.notify('classifySite', '🔒 Session locked',
+                `Site lists can't be changed for ${this.commitmentMinutesLeft()} more min.`);
+            return false;
+        }
+
+        const parsed = SiteRules.parseUrl(url);
+        if (!parsed || !/^https?:/.test(parsed.href)) {
+            this.notify('classifySite', 'Focus Coin', 'Only websites can be classified.');
+            return false;
+        }
+
+        const pathname = new URL(parsed.href).pathname.replace(/\/+$/, '');
+        const pattern = SiteRules.normalizePattern(path && pathname ? `${parsed.host}${pathname}` : parsed.host);
+
+        // A pattern lives in one list only
+        const stored = await chrome.storage.local.get(SiteRules.LIST_KEYS);
+        const lists = {};
+        Object.entries({
+            productiveSites: SiteRules.DEFAULT_PRODUCTIVE,
+            distractingSites: SiteRules.DEFAULT_DISTRACTING,
+            neutralSites: []
+        }).forEach(([key, defaults]) => {
+            lists[key] = (stored[key] || defaults).filter(existing => existing !== pattern);
+        });
+
+        const listKey = `${type}Sites`;
+        if (lists[listKey].length >= this.maxListSize) {
+            this.notify('classifySite', 'Focus Coin', `The ${type} list is limited to ${this.maxListSize} patterns.`);
+            return false;
+        }
+        lists[listKey].push(pattern);
+
+        // Time so far counts as whatever the site was before
+        await this.updateCoins();
+        await chrome.storage.local.set(lists);
+        await this.loadSiteRules();
+        await this.updateBlockingRules();
+        await this.blockOpenDistractingTabs();
+        this.pushSiteLists();
+
+        const titles = {
+            productive: '✅ Marked productive',
+            distracting: '⛔ Marked distracting',
+            neutral: '⚪ Marked neutral'
+        };
+        this.notify('classifySite', titles[type], pattern);
+        this.updateActionBadge();
+        return true;
+    }
+
+    async recordPageActivity(tabId, now = Date.now()) {
+        // Only the stretch since the last tick matters
+        const reports = (this.pageActivity.get(tabId) || [])
+            .filter(time => time > now - this.maxCatchUpGap - this.engagementGrace);
+        reports.push(now);
+        this.pageActivity.set(tabId, reports);
+        await this.savePageActivity();
+    }
+
+    async savePageActivity() {
+        await chrome.storage.session.set({ pageActivity: Object.fromEntries(this.pageActivity) });
+    }
+
+    // Share of [from, to] the tab was in use. A tab that never reported has
+    // shown no sign of use, so it earns nothing; pages loaded before the
+    // extension start reporting once they're reloaded.
+    engagementRatio(tabId, from, to) {
+        if (to <= from) return 1;
+        const reports = this.pageActivity.get(tabId);
+        if (!reports) return 0;
+
+        let engaged = 0;
+        let coveredUntil = from;
+        for (const time of reports) {
+            const start = Math.max(time, coveredUntil);
+            const end = Math.min(time + this.engagementGrace, to);
+            if (end > start) {
+                engaged += end - start;
+                coveredUntil = end;
+            }
+        }
+
+        return engaged / (to - from);
+    }
+
+    async processCoinUpdate() {
+        if (!this.isSessionActive) return;
+
+        // No earning or penalties while the machine is idle or locked, or the
+        // browser is in the background
+        if (this.idleState !== 'active' || !this.windowFocused) return;
+
+        try {
+            const now = Date.now();
+            const timeDiff = now - this.lastUpdateTime;
+
+            // The browser was closed or the machine slept; don't pay out for that stretch
+            if (timeDiff > this.maxCatchUpGap) {
+                await this.addHeartbeat({
+                    timestamp: this.lastUpdateTime,
+                    site: '',
+                    siteType: 'neutral',
+                    action: 'idle',
+                    coinsChange: 0,
+                    idleState: 'suspended',
+                    idleDuration: timeDiff
+                });
+                this.lastUpdateTime = now;
+                await this.persistSessionState();
+                return;
+            }
+
+            if (!this.currentTab) {
+                const [activeTab] = await chrome.tabs.query({ active: true, windowId: this.focusedWindowId });
+                if (activeTab) {
+                    await this.trackTab(activeTab.id);
+                }
+            }
+
+            const tab = this.currentTab;
+            if (!tab || !tab.url) return;
+
+            const url = new URL(tab.url);
+            const domain = url.hostname.replace('www.', '');
+            // Incognito browsing is never sent, and the backend owns the
+            // balance, so incognito tabs neither earn nor drain
+            const siteType = tab.incognito ? 'neutral' : this.getSiteType(tab.url);
+            
+            if (siteType === 'neutral') {
+                this.lastUpdateTime = now;
+                await this.persistSessionState();
+                return;
+            }
+            
+            const result = await chrome.storage.local.get([
+                'focusCoins', 'todayCoins', 'dailyEarnings', 'focusStreak', 'lastFocusDate', 'budgetUsage'
+            ]);
+            let currentCoins = result.focusCoins || 0;
+            let todayCoins = result.todayCoins || 0;
+            const { earnRate, drainRate, activityVerification } = await getSettings([
+                'earnRate', 'drainRate', 'activityVerification'
+            ]);
+            const weight = this.economy.weightFor(tab.url);
+
+            // Earnings toward the daily caps, reset at local midnight
+            const today = localDayKey();
+            const dailyEarnings = result.dailyEarnings?.date === today
+                ? result.dailyEarnings
+                : { date: today, total: 0, byCategory: {} };
+            const budgetUsage = DistractionBudgets.usageFor(result.budgetUsage);
+
+            const intervalsElapsed = Math.floor(timeDiff / this.coinUpdateInterval);
+
+            if (intervalsElapsed > 0) {
+                let coinChange = 0;
+                let rate = 0;
+                let multiplier = 1;
+                let capped = false;
+                let engagement;
+                let budget = null;
+
+                if (siteType === 'productive') {
+                    rate = earnRate;
+                    multiplier = weight.earnMultiplier;
+                    engagement = activityVerification
+                        ? Math.round(this.engagementRatio(tab.id, this.lastUpdateTime, now) * 100) / 100
+                        : 1;
+
+                    const earned = this.takeWholeCoins('earn', intervalsElapsed * rate * multiplier * engagement);
+                    coinChange = this.economy.capEarnings(earned, weight.category, dailyEarnings);
+                    capped = coinChange < earned;
+
+                    currentCoins += coinChange;
+                    todayCoins += coinChange;
+                    dailyEarnings.total += coinChange;
+                    if (weight.category) {
+                        dailyEarnings.byCategory[weight.category] =
+                            (dailyEarnings.byCategory[weight.category] || 0) + coinChange;
+                    }
+                } else if (siteType === 'distracting' && (this.isOnBreak() || this.isUnlocked(tab.url))) {
+                    // Breaks and paid unlocks are free: no drain and no blocking
+                    coinChange = 0;
+                } else if (siteType === 'distracting' && this.distractionMode === 'budget') {
+                    // Budget mode spends minutes of the site's allowance instead of coins
+                    budget = this.budgets.budgetFor(tab.url, this.economy);
+                    if (DistractionBudgets.remaining(budget, budgetUsage) <= 0) {
+                        await this.blockSite(tab, url.hostname.replace('www.', ''), { reason: 'budget' });
+                        return;
+                    }
+                    budgetUsage.byKey[budget.key] = (budgetUsage.byKey[budget.key] || 0) +
+                        intervalsElapsed * this.coinUpdateInterval;
+                } else if (siteType === 'distracting') {
+                    rate = drainRate;
+                    multiplier = weight.drainMultiplier;
+
+                    coinChange = -this.takeWholeCoins('drain', intervalsElapsed * rate * multiplier);
+                    if (currentCoins > 0) {
+                        const before = currentCoins;
+                        currentCoins = Math.max(0, currentCoins + coinChange);
+                        this.recordDrainVisit(tab, before - currentCoins);
+
+                        if (before > this.lowBalanceThreshold && currentCoins <= this.lowBalanceThreshold && currentCoins > 0) {
+                            await this.notifyIfEnabled('notifyLowBalance', 'lowBalance', '🪫 Running low on coins',
+                                `${currentCoins} coins left before ${domain} gets blocked.`);
+                        }
+                    } else {
+                        await this.blockSite(tab, url.hostname.replace('www.', ''));
+                        return;
+                    }
+                }
+
+                // Save locally; productive time today keeps the streak going
+                const streakUpdate = siteType === 'productive' ? this.focusDayUpdate(result) : {};
+                await chrome.storage.local.set({
+                    focusCoins: currentCoins,
+                    todayCoins: todayCoins,
+                    dailyEarnings,
+                    budgetUsage,
+                    ...streakUpdate
+                });
+
+                if (this.streakMilestones.includes(streakUpdate.focusStreak)) {
+                    await this.notifyIfEnabled('notifyStreak', 'streak', `🔥 ${streakUpdate.focusStreak}-day streak!`,
+                        'Another day of focus in the books.');
+                }
+
+                this.recordSessionStats(domain, siteType, intervalsElapsed * this.coinUpdateInterval, coinChange);
+
+                // Queue heartbeat in the outbox
+                await this.addHeartbeat({
+                    timestamp: now,
+                    site: domain,
+                    siteType: siteType,
+                    action: siteType === 'productive' ? 'focus' : 'distract',
+                    coinsChange: coinChange,
+                    duration: intervalsElapsed * this.coinUpdateInterval,
+                    tabId: tab.id,
+                    windowId: tab.windowId,
+                    url: tab.url,
+                    incognito: tab.incognito,
+                    pomodoroPhase: this.pomodoro?.phase,
+                    rate,
+                    multiplier,
+                    category: weight.category,
+                    capped,
+                    engagement,
+                    // Default allowances are per host; the backend keys them by site
+                    budgetKey: budget && (budget.source === 'default' ? 'default' : budget.key),
+                    budgetMinutes: budget?.minutes
+                });
+
+                // Notify popup
+                try {
+                    await chrome.runtime.sendMessage({
+                        action: 'coinsUpdated',
+                        coins: currentCoins,
+                        change: coinChange,
+                        siteType: siteType,
+                        domain: domain
+                    });
+                } catch (error) {
+                    // Popup closed, ignore
+                }
+
+                this.lastUpdateTime = now;
+                await this.persistSessionState();
+
+                if (budget && DistractionBudgets.remaining(budget, budgetUsage) <= 0) {
+                    await this.blockSite(tab, url.hostname.replace('www.', ''), { reason: 'budget' });
+                }
+            }
+
+        } catch (error) {
+            console.error('Error updating coins:', error);
+        }
+    }
+
+    // Close out the previous local day: settle the running session into it,
+    // reset todayCoins, and break the streak if a whole day went by without
+    // focus. Re-arms itself for the next local midnight.
+    async rolloverDay() {
+        const today = localDayKey();
+        const stored = await chrome.storage.local.get(['lastActiveDate', 'lastFocusDate', 'focusStreak']);
+
+        // Older installs stored Date.toDateString()
+        let lastActiveDate = stored.lastActiveDate;
+        if (lastActiveDate && !/^\d{4}-\d{2}-\d{2}$/.test(lastActiveDate)) {
+            lastActiveDate = localDayKey(new Date(lastActiveDate));
+        }
+
+        if (lastActiveDate !== today) {
+            if (this.isSessionActive) {
+                await this.updateCoins();
+            }
+
+            const update = { lastActiveDate: today, todayCoins: 0 };
+            if (stored.lastFocusDate && stored.lastFocusDate < localDayKey(new Date(), -1)) {
+                update.focusStreak = 0;
+            }
+            await chrome.storage.local.set(update);
+
+            // Get the finished day's heartbeats to the backend for its daily aggregation
+            this.syncHeartbeats(true);
+            console.log(`New day ${today}, streak ${update.focusStreak ?? stored.focusStreak ?? 0}`);
+        }
+
+        const now = new Date();
+        const nextMidnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+        await chrome.alarms.create('dayRollover', { when: nextMidnight.getTime() });
+    }
+
+    // Storage update that counts today toward the streak, given the stored
+    // focusStreak and lastFocusDate
+    focusDayUpdate({ focusStreak = 0, lastFocusDate }) {
+        const today = localDayKey();
+        if (lastFocusDate === today) return {};
+
+        return {
+            lastFocusDate: today,
+            focusStreak: lastFocusDate === localDayKey(new Date(), -1) ? focusStreak + 1 : 1
+        };
+    }
+
+    // Adopt the backend's streak when it's longer, e.g. after reinstalling or
+    // focusing on another device. The server counts days up to its last
+    // focus day, so a local focus day right after that extends it by one.
+    async syncStreak() {
+        try {
+            const response = await this.apiCall(`/sessions/stats/${this.uuid}`, null, 'GET');
+            if (!response.lastFocusDate) return;
+
+            const today = localDayKey();
+            const yesterday = localDayKey(new Date(), -1);
+            if (response.lastFocusDate < yesterday) return; // the server's streak has lapsed
+
+            const { focusStreak = 0, lastFocusDate } = await chrome.storage.local.get(['focusStreak', 'lastFocusDate']);
+            let serverStreak = response.currentStreak || 0;
+            let serverLastFocus = response.lastFocusDate;
+
+            if (lastFocusDate === today && serverLastFocus === yesterday) {
+                serverStreak += 1;
+                serverLastFocus = today;
+            }
+
+            if (serverStreak > focusStreak) {
+                await chrome.storage.local.set({
+                    focusStreak: serverStreak,
+                    lastFocusDate: serverLastFocus > (lastFocusDate || '') ? serverLastFocus : lastFocusDate
+                });
+                console.log(`Streak reconciled with backend: ${serverStreak}`);
+            }
+        } catch (error) {
+            console.warn('Streak sync failed, keeping the local streak');
+        }
+    }
+
+    // Weighted rates produce fractional coins; pay out the whole part and
+    // carry the rest so a x0.5 site still earns its share over time
+    takeWholeCoins(kind, amount) {
+        const total = amount + this.coinRemainder[kind];
+        const whole = Math.floor(total);
+        this.coinRemainder[kind] = total - whole;
+        return whole;
+    }
+
+    async addHeartbeat(data) {
+        const heartbeat = await this.applyPrivacy(data);
+        if (!heartbeat) return;
+
+        const pending = await this.outbox.enqueue({
+            ...heartbeat,
+            // The backend files daily stats under the user's day, not UTC's
+            localDay: localDayKey(new Date(heartbeat.timestamp)),
+            sessionId: this.sessionId,
+            sessionSource: this.sessionSource,
+            scheduleId: this.scheduleId
+        });
+
+        // Auto-sync once enough heartbeats are waiting
+        if (pending >= this.maxBufferSize) {
+            this.syncHeartbeats();
+        }
+    }
+
+    // Strip what the privacy level doesn't allow before anything is queued.
+    // Returns null for incognito activity, which is never sent at all. A spend
+    // made from an incognito tab still has to reach the balance, so it goes
+    // without any trace of the site.
+    async applyPrivacy({ incognito, ...heartbeat }) {
+        if (incognito) {
+            if (!heartbeat.coinsChange) return null;
+            const { url, site, budgetKey, ...rest } = heartbeat;
+            return { ...rest, site: '' };
+        }
+
+        const { privacyLevel } = await getSettings(['privacyLevel']);
+        if (privacyLevel === 'full') return heartbeat;
+
+        const { url, ...rest } = heartbeat;
+        const scrubbed = { ...rest, site: await this.privateSite(heartbeat.site, privacyLevel) };
+
+        // Site budgets are keyed by their pattern, which names the site too
+        if (heartbeat.budgetKey?.startsWith('site:')) {
+            const pattern = heartbeat.budgetKey.slice('site:'.length);
+            scrubbed.budgetKey = pattern.startsWith('/')
+                ? 'site:(regex)'
+                : `site:${await this.privateSite(pattern, privacyLevel)}`;
+        }
+        return scrubbed;
+    }
+
+    // A site name as the privacy level allows it to be sent
+    async privateSite(site, privacyLevel) {
+        if (!site || privacyLevel === 'full') return site;
+
+        const host = site.split('/')[0];
+        if (privacyLevel !== 'hashed') return host;
+
+        let { privacySalt } = await chrome.storage.local.get(['privacySalt']);
+        if (!privacySalt) {
+            privacySalt = crypto.randomUUID();
+            await chrome.storage.local.set({ privacySalt });
+        }
+
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${privacySalt}:${host}`));
+        const hex = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+        return `h:${hex.slice(0, 16)}`;
+    }
+
+    // The summary sent to the backend names sites too
+    async privateSummary(summary) {
+        const { privacyLevel } = await getSettings(['privacyLevel']);
+        const topSites = await Promise.all(summary.topSites.map(async entry => ({
+            ...entry,
+            site: await this.privateSite(entry.site, privacyLevel)
+        })));
+        return { ...summary, topSites };
+    }
+
+    async syncHeartbeats(force = false) {
+        if (this.isSyncing) return;
+        if (!force && !(await this.outbox.isDue())) return;
+
+        this.isSyncing = true;
+        try {
+            for (let i = 0; i < this.maxBatchesPerSync; i++) {
+                const batch = await this.outbox.takeBatch(this.syncBatchSize);
+                if (batch.length === 0) break;
+
+                try {
+                    const response = await this.apiCall('/sessions/heartbeats', {
+                        uuid: this.uuid,
+                        heartbeats: batch
+                    });
+
+                    if (!response.success) {
+                        throw new Error(response.error || 'Heartbeats rejected');
+                    }
+
+                    await this.outbox.acknowledge(batch);
+                    this.syncedBatches++;
+                    console.log(`Synced ${batch.length} heartbeats`);
+
+                    if (Number.isFinite(response.balance)) {
+                        await this.reconcileBalance(response.balance);
+                    }
+                    if (Array.isArray(response.events)) {
+                        await this.notifyAchievements(response.events);
+                    }
+                } catch (error) {
+                    // Keep heartbeats in the outbox and back off
+                    const delay = await this.outbox.fail(batch);
+                    console.error(`Sync failed, retrying in ${Math.round(delay / 1000)}s:`, error);
+                    break;
+                }
+            }
+        } finally {
+            this.isSyncing = false;
+        }
+    }
+
+    // The backend's balance covers every heartbeat it has acknowledged; adding
+    // what is still queued here gives the balance this device should show.
+    // Runs on the coin update chain so it never races a tick.
+    reconcileBalance(serverBalance) {
+        this.coinUpdate = this.coinUpdate.then(async () => {
+            const pending = await this.outbox.pendingCoins();
+            const { focusCoins = 0 } = await chrome.storage.local.get(['focusCoins']);
+            const reconciled = Math.max(0, serverBalance + pending);
+            const adjustment = reconciled - focusCoins;
+            if (adjustment === 0) return;
+
+            await chrome.storage.local.set({
+                focusCoins: reconciled,
+                balanceAdjustment: { amount: adjustment, at: Date.now() }
+            });
+            console.log(`Balance reconciled with backend: ${focusCoins} -> ${reconciled}`);
+
+            try {
+                await chrome.runtime.sendMessage({
+                    action: 'coinsUpdated',
+                    coins: reconciled,
+                    change: adjustment
+                });
+            } catch (error) {
+                // Popup closed, ignore
+            }
+        }).catch(error => console.error('Error reconciling balance:', error));
+
+        return this.coinUpdate;
+    }
+
+    // Pick up balance changes made elsewhere (another device, dashboard
+    // power-ups) when there are no heartbeats going out to carry them
+    async syncBalance() {
+        if (this.isSyncing) return;
+        const syncedBatches = this.syncedBatches;
+
+        try {
+            const response = await this.apiCall(`/sessions/balance/${this.uuid}`, null, 'GET');
+
+            // A batch acknowledged meanwhile may not be in this balance yet
+            if (Number.isFinite(response.balance) && !this.isSyncing && syncedBatches === this.syncedBatches) {
+                await this.reconcileBalance(response.balance);
+            }
+        } catch (error) {
+            console.warn('Balance sync failed, keeping the local balance');
+        }
+    }
+
+    // Pull the user's server-side site lists, schedules and coin economy into the
+    // local cache; the storage change listener rebuilds the classifier from there
+    async syncSettings() {
+        try {
+            // Local edits that never reached the backend win over the server copy
+            const { siteListsDirty, schedulesDirty, economyDirty, privacyDirty, budgetsDirty } = await chrome.storage.local.get([
+                'siteListsDirty', 'schedulesDirty', 'economyDirty', 'privacyDirty', 'budgetsDirty'
+            ]);
+            if (siteListsDirty && !this.isCommitted() && !(await this.pushSiteLists())) return;
+            if (schedulesDirty && !(await this.pushSchedules())) return;
+            if (economyDirty && !(await this.pushEconomy())) return;
+            if (privacyDirty && !(await this.pushPrivacy())) return;
+            if (budgetsDirty && !(await this.pushBudgets())) return;
+
+            const response = await this.apiCall(`/user/settings/${this.uuid}`, null, 'GET');
+            if (!response.settings) return; // no backend account yet
+
+            const {
+                productiveSites, distractingSites, neutralSites, siteRules, schedules, privacyLevel,
+                distractionMode, distractionBudgets, budgetDefaultMinutes
+            } = response.settings;
+            const update = { settingsSyncedAt: Date.now() };
+
+            // A locked session keeps its lists; the next sync after it brings them in
+            if (!this.isCommitted()) {
+                if (Array.isArray(productiveSites)) update.productiveSites = productiveSites;
+                if (Array.isArray(distractingSites)) update.distractingSites = distractingSites;
+                if (Array.isArray(neutralSites)) update.neutralSites = neutralSites;
+                if (Array.isArray(siteRules)) update.siteRules = siteRules;
+            }
+            if (Array.isArray(schedules)) update.focusSchedules = schedules;
+            if (privacyLevel) update.privacyLevel = privacyLevel;
+            if (distractionMode) update.distractionMode = distractionMode;
+            if (Array.isArray(distractionBudgets)) update.distractionBudgets = distractionBudgets;
+            if (Number.isFinite(budgetDefaultMinutes)) update.budgetDefaultMinutes = budgetDefaultMinutes;
+
+            const economyResponse = await this.apiCall(`/user/economy/${this.uuid}`, null, 'GET');
+            if (economyResponse.economy) {
+                Object.assign(update, this.economyUpdate(economyResponse.economy));
+            }
+
+            await chrome.storage.local.set(update);
+            console.log('Site settings synced from backend');
+        } catch (error) {
+            console.warn('Settings sync failed, keeping cached site lists');
+        }
+    }
+
+    // Push locally edited site lists and rules to the backend. If the backend
+    // can't be reached the lists stay marked dirty and go out with the next
+    // settings sync. If it rejects them, retrying won't help: the next sync
+    // restores the server copy and siteListsRejected tells the options page why.
+    async pushSiteLists() {
+        const stored = await chrome.storage.local.get([...SiteRules.LIST_KEYS, 'siteRules']);
+
+        try {
+            const response = await this.apiCall(`/user/settings/sites/${this.uuid}`, {
+                productiveSites: stored.productiveSites || SiteRules.DEFAULT_PRODUCTIVE,
+                distractingSites: stored.distractingSites || SiteRules.DEFAULT_DISTRACTING,
+                neutralSites: stored.neutralSites || []
+            }, 'PUT');
+
+            if (!response.success) {
+                return await this.rejectSiteLists(`Backend rejected the site lists: ${response.error || 'unknown error'}`);
+            }
+
+            if (stored.siteRules) {
+                const rulesResponse = await this.apiCall(`/user/settings/rules/${this.uuid}`, {
+                    siteRules: stored.siteRules
+                }, 'PUT');
+
+                if (!rulesResponse.success) {
+                    const reason = rulesResponse.details?.[0] || rulesResponse.error || 'unknown error';
+                    return await this.rejectSiteLists(`Backend rejected the site rules: ${reason}`);
+                }
+            }
+
+            // Store the backend's cleaned-up copy so both sides agree
+            await chrome.storage.local.set({
+                productiveSites: response.settings.productiveSites,
+                distractingSites: response.settings.distractingSites,
+                neutralSites: response.settings.neutralSites || [],
+                siteListsDirty: false,
+                siteListsRejected: null
+            });
+            return true;
+
+        } catch (error) {
+            console.warn('Could not push site lists, will retry on next sync:', error.message);
+            await chrome.storage.local.set({ siteListsDirty: true });
+            return false;
+        }
+    }
+
+    async rejectSiteLists(reason) {
+        console.warn(`${reason}, keeping the server copy`);
+        await chrome.storage.local.set({ siteListsDirty: false, siteListsRejected: reason });
+        return false;
+    }
+
+    // Pushed like the site lists, minus the rejection handling: stays dirty on any failure
+    async pushSchedules() {
+        const { focusSchedules } = await getSettings(['focusSchedules']);
+
+        try {
+            const response = await this.apiCall(`/user/settings/schedules/${this.uuid}`, {
+                schedules: focusSchedules
+            }, 'PUT');
+
+            if (!response.success) {
+                throw new Error(response.error || 'Schedules rejected');
+            }
+
+            await chrome.storage.local.set({
+                focusSchedules: response.schedules,
+                schedulesDirty: false
+            });
+            return true;
+
+        } catch (error) {
+            console.warn('Could not push schedules, will retry on next sync:', error.message);
+            await chrome.storage.local.set({ schedulesDirty: true });
+            return false;
+        }
+    }
+
+    // Storage update for a config from the backend; the base rates double as
+    // the options page settings
+    economyUpdate(economy) {
+        return {
+            economyConfig: economy,
+            earnRate: economy.earnRate,
+            drainRate: economy.drainRate
+        };
+    }
+
+    // Same contract as pushSchedules, for the base earn/drain rates
+    async pushEconomy() {
+        const { earnRate, drainRate } = await getSettings(['earnRate', 'drainRate']);
+
+        try {
+            const response = await this.apiCall(`/user/settings/economy/${this.uuid}`, {
+                earnRate,
+                drainRate
+            }, 'PUT');
+
+            if (!response.success) {
+                throw new Error(response.error || 'Economy settings rejected');
+            }
+
+            await chrome.storage.local.set({
+                ...this.economyUpdate(response.economy),
+                economyDirty: false
+            });
+            return true;
+
+        } catch (error) {
+            console.warn('Could not push economy settings, will retry on next sync:', error.message);
+            await chrome.storage.local.set({ economyDirty: true });
+            return false;
+        }
+    }
+
+    // The backend enforces the privacy level too, so it has to know about changes
+    async pushPrivacy() {
+        const { privacyLevel } = await getSettings(['privacyLevel']);
+
+        try {
+            const response = await this.apiCall(`/user/settings/privacy/${this.uuid}`, { privacyLevel }, 'PUT');
+
+            if (!response.success) {
+                throw new Error(response.error || 'Privacy level rejected');
+            }
+
+            await chrome.storage.local.set({ privacyDirty: false });
+            return true;
+
+        } catch (error) {
+            console.warn('Could not push privacy level, will retry on next sync:', error.message);
+            await chrome.storage.local.set({ privacyDirty: true });
+            return false;
+        }
+    }
+
+    // Same contract as pushSchedules, for budget mode and its allowances
+    async pushBudgets() {
+        const { distractionMode, distractionBudgets, budgetDefaultMinutes } = await getSettings([
+            'distractionMode', 'distractionBudgets', 'budgetDefaultMinutes'
+        ]);
+
+        try {
+            const response = await this.apiCall(`/user/settings/budgets/${this.uuid}`, {
+                distractionMode,
+                distractionBudgets,
+                budgetDefaultMinutes
+            }, 'PUT');
+
+            if (!response.success) {
+                throw new Error(response.error || 'Budgets rejected');
+            }
+
+            await chrome.storage.local.set({
+                distractionBudgets: response.settings.distractionBudgets,
+                budgetsDirty: false
+            });
+            return true;
+
+        } catch (error) {
+            console.warn('Could not push budgets, will retry on next sync:', error.message);
+            await chrome.storage.local.set({ budgetsDirty: true });
+            return false;
+        }
+    }
+
+    async handleBackendReachable() {
+        if (this.isSyncing || (await this.outbox.size()) === 0) return;
+
+        console.log('Backend reachable, flushing heartbeat outbox');
+        await this.outbox.resetBackoff();
+        await this.syncHeartbeats(true);
+    }
+
+    // A Google ID token from the browser's web auth flow. With authStubEmail
+    // set in an unpacked (development) install, an unsigned token is minted
+    // locally instead, for a backend that runs the stub verifier.
+    async getIdToken() {
+        const { authStubEmail } = await getSettings(['authStubEmail']);
+        const { installType } = await chrome.management.getSelf();
+        const encode = (value) => btoa(JSON.stringify(value))
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        const decode = (part) => JSON.parse(atob(part.replace(/-/g, '+').replace(/_/g, '/')));
+
+        if (authStubEmail && installType === 'development') {
+            return [
+                encode({ alg: 'none', typ: 'JWT' }),
+                encode({
+                    sub: `stub-${authStubEmail}`,
+                    email: authStubEmail,
+                    name: authStubEmail.split('@')[0],
+                    exp: Math.floor(Date.now() / 1000) + 3600
+                }),
+                ''
+            ].join('.');
+        }
+
+        const nonce = crypto.randomUUID();
+        const url = new URL('https://accounts.google.com/o/oauth2/v2/auth');
+        url.search = new URLSearchParams({
+            client_id: await this.googleClientId(),
+            response_type: 'id_token',
+            redirect_uri: chrome.identity.getRedirectURL(),
+            scope: 'openid email profile',
+            prompt: 'select_account',
+            nonce
+        });
+
+        const redirect = await chrome.identity.launchWebAuthFlow({ url: url.href, interactive: true });
+        const idToken = new URLSearchParams(new URL(redirect).hash.slice(1)).get('id_token');
+        if (!idToken) throw new Error('Google sign-in returned no ID token');
+
+        // The token has to answer this request, not a replayed one
+        if (decode(idToken.split('.')[1]).nonce !== nonce) throw new Error('Google sign-in nonce mismatch');
+
+        return idToken;
+    }
+
+    // The backend's GOOGLE_CLIENT_ID, since it only accepts tokens issued to
+    // that client. The manifest's oauth2.client_id is the fallback for a
+    // backend that doesn't say, unless it's still the placeholder.
+    async googleClientId() {
+        const { googleClientId } = await this.apiCall('/auth/config', null, 'GET').catch(() => ({}));
+        if (googleClientId) return googleClientId;
+
+        const manifestClientId = chrome.runtime.getManifest().oauth2?.client_id || '';
+        if (!manifestClientId || manifestClientId.startsWith('YOUR_')) {
+            throw new Error('Google sign-in is not configured: set GOOGLE_CLIENT_ID on the backend or oauth2.client_id in manifest.json');
+        }
+        return manifestClientId;
+    }
+
+    // Linking attaches the Google account to this device's account. Signing in
+    // without linking switches to the account the Google identity already
+    // has, or migrates this one if it has none.
+    async signIn({ link = true } = {}) {
+        try {
+            const idToken = await this.getIdToken();
+            const response = await this.apiCall(link ? '/auth/link-google' : '/auth/google', {
+                idToken,
+                uuid: this.uuid
             });
 
-            if (response.success) {
-                console.log(`Synced ${this.heartbeatBuffer.length} heartbeats`);
-                this.heartbeatBuffer = [];
+            if (!response.success) {
+                return { success: false, error: response.error || 'Sign-in failed', code: response.code };
+            }
+
+            return { success: true, account: await this.adoptAccount(response.user) };
+        } catch (error) {
+            console.error('Sign-in failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async adoptAccount(user) {
+        const account = {
+            googleId: user.googleId,
+            email: user.email,
+            name: user.name,
+            picture: user.picture
+        };
+
+        if (user.uuid !== this.uuid) {
+            // Anything earned so far belongs to the account being left
+            await this.syncHeartbeats(true);
+
+            this.uuid = user.uuid;
+            await chrome.storage.local.set({ focus_uuid: user.uuid, account });
+            console.log(`Switched to account ${user.uuid}`);
+
+            this.syncSettings();
+            this.syncBalance();
+            this.syncStreak();
+        } else {
+            await chrome.storage.local.set({ account });
+        }
+
+        return account;
+    }
+
+    // Progress stays with this device's account, only the Google link goes
+    async unlinkAccount() {
+        try {
+            const response = await this.apiCall('/auth/unlink-google', { uuid: this.uuid });
+            if (!response.success) {
+                return { success: false, error: response.error || 'Unlink failed' };
             }
+
+            await chrome.storage.local.set({ account: null });
+            return { success: true };
         } catch (error) {
-            console.error('Sync failed:', error);
-            // Keep heartbeats for retry
+            console.error('Unlink failed:', error);
+            return { success: false, error: error.message };
         }
     }
 
-    async apiCall(endpoint, data) {
+    async apiCall(endpoint, data, method = 'POST') {
         try {
             const response = await fetch(`${this.API_BASE}${endpoint}`, {
-                method: 'POST',
+                method,
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify(data)
+                body: data ? JSON.stringify(data) : undefined
             });
-            return await response.json();
+            const result = await response.json();
+
+            // Any successful round trip means queued heartbeats can go out too
+            if (response.ok && endpoint !== '/sessions/heartbeats') {
+                this.handleBackendReachable();
+            }
+
+            return result;
         } catch (error) {
             console.error('API call failed:', error);
             throw error;
         }
     }
 
-    getSiteType(domain) {
-        if (this.productiveSites.some(site => domain.includes(site))) {
-            return 'productive';
-        } else if (this.distractingSites.some(site => domain.includes(site))) {
-            return 'distracting';
-        } else {
-            return 'neutral';
+    getSiteType(url) {
+        return this.siteRules.classify(url);
+    }
+
+    // Strict mode blocks distracting sites at the network level for the whole
+    // session (breaks excepted), so background tabs and iframes can't slip through
+    async isStrictBlockingActive() {
+        if (!this.isSessionActive || this.isOnBreak()) return false;
+        if (this.isCommitted()) return true; // a locked session blocks whatever the setting
+
+        const { strictBlocking } = await getSettings(['strictBlocking']);
+        return strictBlocking;
+    }
+
+    async updateBlockingRules() {
+        try {
+            let addRules = [];
+
+            if (await this.isStrictBlockingActive()) {
+                const { strictAllowList } = await getSettings(['strictAllowList']);
+                const candidates = this.siteRules.toNetRequestRules({
+                    allowList: [...strictAllowList, ...Object.keys(this.siteUnlocks)]
+                });
+
+                // Chrome's RE2 engine rejects some JS regex features
+                for (const rule of candidates) {
+                    if (rule.condition.regexFilter) {
+                        const { isSupported } = await chrome.declarativeNetRequest.isRegexSupported({
+                            regex: rule.condition.regexFilter,
+                            isCaseSensitive: false
+                        });
+                        if (!isSupported) {
+                            console.warn('Skipping unsupported regex in strict mode:', rule.condition.regexFilter);
+                            continue;
+                        }
+                    }
+                    addRules.push(rule);
+                }
+            }
+
+            const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
+            await chrome.declarativeNetRequest.updateDynamicRules({
+                removeRuleIds: existingRules.map(rule => rule.id),
+                addRules
+            });
+
+            console.log(`Strict blocking rules: ${addRules.length}`);
+        } catch (error) {
+            console.error('Error updating blocking rules:', error);
+        }
+    }
+
+    // Network rules only catch new requests; redirect tabs that are already open
+    async blockOpenDistractingTabs() {
+        if (!(await this.isStrictBlockingActive())) return;
+
+        const { strictAllowList } = await getSettings(['strictAllowList']);
+        const allowRules = new SiteRules(SiteRules.fromList(strictAllowList, 'neutral'));
+        const tabs = await chrome.tabs.query({});
+
+        for (const tab of tabs) {
+            if (!tab.url || allowRules.match(tab.url) || this.isUnlocked(tab.url)) continue;
+
+            if (this.getSiteType(tab.url) === 'distracting') {
+                await this.blockSite(tab, new URL(tab.url).hostname.replace('www.', ''));
+            }
+        }
+    }
+
+    isUnlocked(url) {
+        const patterns = Object.keys(this.siteUnlocks);
+        if (patterns.length === 0) return false;
+
+        return !!new SiteRules(SiteRules.fromList(patterns, 'neutral')).match(url);
+    }
+
+    // Drop unlocks that ran out while the worker was asleep
+    async pruneUnlocks(unlocks) {
+        const now = Date.now();
+        this.siteUnlocks = Object.fromEntries(
+            Object.entries(unlocks).filter(([, expiresAt]) => expiresAt > now)
+        );
+        await chrome.storage.local.set({ siteUnlocks: this.siteUnlocks });
+    }
+
+    // Spend coins on a timed pass for a blocked site. `site` is whatever the
+    // blocked page was given: a domain, or the strict-mode rule pattern.
+    async purchaseUnlock(site, minutes, { incognito = false } = {}) {
+        if (!this.isSessionActive) {
+            return { success: false, error: 'No focus session is running' };
+        }
+        if (this.isCommitted()) {
+            return { success: false, error: `The session is locked for ${this.commitmentMinutesLeft()} more min` };
+        }
+
+        const { unlockOptions } = await getSettings(['unlockOptions']);
+        const option = unlockOptions.find(candidate => candidate.minutes === minutes);
+        if (!site || !option || !SiteRules.compile({ pattern: site, type: 'neutral' })) {
+            return { success: false, error: 'Invalid unlock' };
+        }
+
+        // Settle the balance first so the purchase sees the real number
+        await this.updateCoins();
+
+        const { focusCoins = 0 } = await chrome.storage.local.get(['focusCoins']);
+        if (focusCoins < option.cost) {
+            return { success: false, error: `You need ${option.cost} coins, you have ${focusCoins}` };
+        }
+
+        const now = Date.now();
+        const expiresAt = Math.max(now, this.siteUnlocks[site] || 0) + option.minutes * 60 * 1000;
+        this.siteUnlocks[site] = expiresAt;
+
+        this.sessionStats.coinsLost += option.cost;
+        await chrome.storage.local.set({
+            focusCoins: focusCoins - option.cost,
+            siteUnlocks: this.siteUnlocks
+        });
+        await this.persistSessionState();
+        await chrome.alarms.create(`unlock:${site}`, { when: expiresAt });
+        await this.updateBlockingRules();
+
+        await this.addHeartbeat({
+            timestamp: now,
+            site,
+            siteType: 'distracting',
+            action: 'purchase',
+            coinsChange: -option.cost,
+            unlockMinutes: option.minutes,
+            incognito
+        });
+
+        console.log(`Unlocked ${site} for ${option.minutes} minutes`);
+        return { success: true, expiresAt, focusCoins: focusCoins - option.cost };
+    }
+
+    async expireUnlock(site) {
+        if (!(site in this.siteUnlocks)) return;
+
+        delete this.siteUnlocks[site];
+        await chrome.storage.local.set({ siteUnlocks: this.siteUnlocks });
+        await this.updateBlockingRules();
+
+        if (!this.isSessionActive) return;
+
+        // Without strict mode a site is only blocked once the balance, or in
+        // budget mode its allowance, is gone
+        const strict = await this.isStrictBlockingActive();
+        const { focusCoins = 0 } = await chrome.storage.local.get(['focusCoins']);
+        if (!strict && this.distractionMode !== 'budget' && focusCoins > 0) return;
+
+        const expired = new SiteRules(SiteRules.fromList([site], 'neutral'));
+        const tabs = await chrome.tabs.query({});
+        let reblocked = 0;
+        for (const tab of tabs) {
+            if (!tab.url || !expired.match(tab.url) || this.isUnlocked(tab.url)) continue;
+
+            const budget = strict ? null : await this.budgetStatus(tab.url);
+            if (budget && budget.remainingMs > 0) continue;
+            await this.blockSite(tab, site, budget ? { reason: 'budget' } : {});
+            reblocked++;
+        }
+
+        // In strict mode the network rule is back even with no tab open
+        if (strict || reblocked > 0) {
+            this.notify('unlock', '🔒 Unlock expired', `${site} is blocked again.`);
         }
     }
 
-    async blockSite(tab, domain) {
-        const blockingPageUrl = chrome.runtime.getURL('blocked.html') + '?site=' + encodeURIComponent(domain);
+    // `reason` tells the blocked page why: 'budget' once the day's allowance
+    // is used up, otherwise the coins ran out
+    async blockSite(tab, domain, { reason } = {}) {
+        // Pass the page along so a purchased unlock can return to it
+        const blockingPageUrl = chrome.runtime.getURL('blocked.html') +
+            '?site=' + encodeURIComponent(domain) +
+            (tab.url ? '&url=' + encodeURIComponent(tab.url) : '') +
+            (reason ? '&reason=' + reason : '');
         try {
             await chrome.tabs.update(tab.id, { url: blockingPageUrl });
             console.log(`Blocked ${domain}`);
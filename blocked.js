@@ -3,15 +3,208 @@
 // Get blocked site from URL parameters
 const urlParams = new URLSearchParams(window.location.search);
 const site = urlParams.get('site');
+const returnUrl = urlParams.get('url');
 
 // Update the blocked site display
 if (site) {
     document.getElementById('blockedSite').textContent = site;
 }
 
+// Strict mode blocks regardless of the coin balance
+if (urlParams.get('strict') === '1') {
+    document.getElementById('blockedMessage').textContent =
+        'Distracting sites are blocked during your focus session. 🎯 ' +
+        'They unlock when the session ends or your next break starts.';
+}
+
+// The mindful pause is a speed bump rather than a block
+const isPause = urlParams.get('reason') === 'pause';
+const openedAt = Date.now();
+if (isPause) {
+    document.title = 'Focus Coin - Take a breath';
+    document.getElementById('blockedIcon').textContent = '🧘';
+    document.getElementById('blockedTitle').textContent = 'Take a breath';
+    document.getElementById('blockedMessage').textContent =
+        'You\'re in a focus session. Before you go on, take a moment to think about why.';
+    document.getElementById('pausePanel').style.display = 'block';
+    document.getElementById('unlockPanel').style.display = 'none';
+    document.getElementById('suggestions').style.display = 'none';
+    document.getElementById('returnButton').style.display = 'none';
+}
+
+// Budget mode blocks once the day's allowance is used up
+if (urlParams.get('reason') === 'budget') {
+    document.getElementById('blockedMessage').textContent =
+        'You\'ve used up today\'s time on this site. ⏳ ' +
+        'The allowance resets at midnight.';
+}
+
+const budgetStatusEl = document.getElementById('budgetStatus');
+const unlockOptionsEl = document.getElementById('unlockOptions');
+const unlockStatusEl = document.getElementById('unlockStatus');
+let countdownTimer = null;
+
+// Where to go once the site is unlocked: the original page when we know it,
+// otherwise the site itself when it's a plain host or path
+function continueToSite() {
+    if (returnUrl) {
+        window.location.href = returnUrl;
+    } else if (site && !site.includes('*') && !site.startsWith('/')) {
+        window.location.href = 'https://' + site;
+    } else {
+        history.back();
+    }
+}
+
+function formatRemaining(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+}
+
+function showCountdown(expiresAt) {
+    clearInterval(countdownTimer);
+
+    const update = () => {
+        const remaining = expiresAt - Date.now();
+        if (remaining <= 0) {
+            clearInterval(countdownTimer);
+            unlockStatusEl.textContent = '🔒 Unlock expired';
+            return;
+        }
+        unlockStatusEl.textContent = `🔓 Unlocked for ${formatRemaining(remaining)}`;
+    };
+
+    update();
+    countdownTimer = setInterval(update, 1000);
+}
+
+async function renderUnlockOptions() {
+    const [{ unlockOptions }, { focusCoins = 0, siteUnlocks = {} }] = await Promise.all([
+        getSettings(['unlockOptions']),
+        chrome.storage.local.get(['focusCoins', 'siteUnlocks'])
+    ]);
+
+    unlockOptionsEl.replaceChildren(...unlockOptions.map(option => {
+        const button = document.createElement('button');
+        button.className = 'btn btn-unlock';
+        button.textContent = `${option.minutes} min · ${option.cost} 🪙`;
+        button.disabled = !site || focusCoins < option.cost;
+        button.addEventListener('click', () => purchaseUnlock(option.minutes));
+        return button;
+    }));
+
+    if (site && siteUnlocks[site] > Date.now()) {
+        showCountdown(siteUnlocks[site]);
+    } else if (!countdownTimer) {
+        unlockStatusEl.textContent = `You have ${focusCoins} coins`;
+    }
+}
+
+// Show what's left of the allowance; it may have been raised in the options
+async function renderBudgetStatus() {
+    const pageUrl = returnUrl || (site ? 'https://' + site : null);
+    const settings = await getSettings(['distractionMode', 'distractionBudgets', 'budgetDefaultMinutes']);
+    if (!pageUrl || settings.distractionMode !== 'budget') {
+        budgetStatusEl.style.display = 'none';
+        return;
+    }
+
+    const { economyConfig, budgetUsage } = await chrome.storage.local.get(['economyConfig', 'budgetUsage']);
+    const budgets = new DistractionBudgets(settings.distractionBudgets, settings.budgetDefaultMinutes);
+    const budget = budgets.budgetFor(pageUrl, new CoinEconomy(economyConfig || {}));
+    if (!budget) return;
+
+    const remainingMinutes = Math.ceil(DistractionBudgets.remaining(budget, DistractionBudgets.usageFor(budgetUsage)) / 60000);
+    budgetStatusEl.textContent = `⏳ ${remainingMinutes} of ${budget.minutes} min left today on ${budget.label}`;
+    budgetStatusEl.style.display = 'block';
+}
+
+async function purchaseUnlock(minutes) {
+    unlockOptionsEl.querySelectorAll('button').forEach(button => { button.disabled = true; });
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'purchaseUnlock', site, minutes });
+        if (!response.success) {
+            unlockStatusEl.textContent = `⚠️ ${response.error}`;
+            await renderUnlockOptions();
+            return;
+        }
+
+        showCountdown(response.expiresAt);
+        setTimeout(continueToSite, 1000);
+    } catch (error) {
+        console.error('Error purchasing unlock:', error);
+        unlockStatusEl.textContent = '⚠️ Could not unlock, try again';
+        await renderUnlockOptions();
+    }
+}
+
+const pauseReasonEl = document.getElementById('pauseReason');
+const pauseContinueButton = document.getElementById('pauseContinueButton');
+const pauseLeaveButton = document.getElementById('pauseLeaveButton');
+
+// Continue unlocks once the countdown has run
+async function startPauseCountdown() {
+    const { pauseSeconds } = await getSettings(['pauseSeconds']);
+    const endsAt = openedAt + pauseSeconds * 1000;
+
+    const update = () => {
+        const remaining = Math.ceil((endsAt - Date.now()) / 1000);
+        if (remaining <= 0) {
+            clearInterval(timer);
+            pauseContinueButton.textContent = 'Continue';
+            pauseContinueButton.disabled = false;
+            return;
+        }
+        pauseContinueButton.textContent = `Continue in ${remaining}s`;
+    };
+
+    const timer = setInterval(update, 250);
+    update();
+}
+
+async function sendPauseChoice(choice) {
+    pauseContinueButton.disabled = true;
+    pauseLeaveButton.disabled = true;
+
+    try {
+        await chrome.runtime.sendMessage({
+            action: 'pauseChoice',
+            url: returnUrl,
+            choice,
+            reason: pauseReasonEl.value,
+            waitedMs: Date.now() - openedAt
+        });
+    } catch (error) {
+        console.error('Error recording pause choice:', error);
+    }
+}
+
+if (isPause) {
+    startPauseCountdown();
+    pauseReasonEl.focus();
+
+    pauseContinueButton.addEventListener('click', async () => {
+        await sendPauseChoice('continue');
+        continueToSite();
+    });
+
+    // Back to the last productive page; this tab closes unless that page
+    // had to be reopened in it
+    pauseLeaveButton.addEventListener('click', async () => {
+        await sendPauseChoice('leave');
+        const response = await chrome.runtime.sendMessage({ action: 'returnToWork' }).catch(() => null);
+        if (!response?.reopened) {
+            window.close();
+        }
+    });
+}
+
 // Add event listener for the return button
 document.addEventListener('DOMContentLoaded', function() {
-    const returnButton = document.querySelector('.btn');
+    const returnButton = document.getElementById('returnButton');
     if (returnButton) {
         returnButton.addEventListener('click', function(e) {
             e.preventDefault();
@@ -20,7 +213,15 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 });
 
-// Auto-refresh page every 30 seconds to check for coins
-setTimeout(() => {
-    window.location.reload();
-}, 30000);
\ No newline at end of file
+// Keep prices and the balance current as coins are earned in other tabs
+renderUnlockOptions();
+renderBudgetStatus();
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (changes.focusCoins || changes.siteUnlocks) {
+        renderUnlockOptions();
+    }
+    if (changes.distractionMode || changes.distractionBudgets || changes.budgetDefaultMinutes || changes.budgetUsage) {
+        renderBudgetStatus();
+    }
+});
@@ -0,0 +1,81 @@
+// budgets.js - Daily minute allowances for distracting sites, shared by the
+// background engine, popup and blocked page
+//
+// With distractionMode set to 'budget', distracting sites use up minutes
+// instead of draining coins. A budget looks like either of:
+//   { pattern: 'reddit.com', minutes: 20 }    rules.js pattern syntax
+//   { category: 'social', minutes: 30 }       an economy category, shared by its sites
+// A site budget wins over its category's; any other distracting host gets
+// its own allowance of budgetDefaultMinutes. Usage is stored as
+// { date, byKey: { key: ms } } for the local day, so it carries across
+// sessions and starts over at midnight.
+
+class DistractionBudgets {
+    static MAX_MINUTES = 24 * 60;
+
+    constructor(budgets = [], defaultMinutes = 15) {
+        this.budgets = budgets.map(DistractionBudgets.normalize).filter(Boolean);
+        this.defaultMinutes = defaultMinutes;
+
+        // Rules carry their list index, which maps back to the site budget
+        this.siteBudgets = this.budgets.filter(budget => budget.pattern);
+        this.siteRules = new SiteRules(this.siteBudgets.map(budget => ({
+            pattern: budget.pattern,
+            type: 'neutral'
+        })));
+
+        this.categoryMinutes = Object.fromEntries(this.budgets
+            .filter(budget => budget.category)
+            .map(budget => [budget.category, budget.minutes]));
+    }
+
+    // Returns a cleaned budget, or null when it can't be used
+    static normalize(budget) {
+        if (!budget || typeof budget !== 'object') return null;
+
+        const minutes = Number(budget.minutes);
+        if (!Number.isFinite(minutes) || minutes < 0 || minutes > DistractionBudgets.MAX_MINUTES) return null;
+
+        if (typeof budget.category === 'string' && budget.category.trim()) {
+            return { category: budget.category.trim().toLowerCase(), minutes };
+        }
+        if (typeof budget.pattern === 'string' && SiteRules.compile({ pattern: budget.pattern, type: 'neutral' })) {
+            return { pattern: budget.pattern.trim(), minutes };
+        }
+        return null;
+    }
+
+    // The allowance a URL draws from, as { key, source, label, minutes }, or
+    // null for a URL without a host. Categories come from the coin economy.
+    budgetFor(url, economy) {
+        const rule = this.siteRules.match(url);
+        if (rule) {
+            const budget = this.siteBudgets[rule.index];
+            return { key: `site:${budget.pattern}`, source: 'site', label: budget.pattern, minutes: budget.minutes };
+        }
+
+        const { category } = economy.weightFor(url);
+        if (category && category in this.categoryMinutes) {
+            return { key: `category:${category}`, source: 'category', label: category, minutes: this.categoryMinutes[category] };
+        }
+
+        const target = SiteRules.parseUrl(url);
+        if (!target || !target.host) return null;
+        return { key: `site:${target.host}`, source: 'default', label: target.host, minutes: this.defaultMinutes };
+    }
+
+    // The stored usage if it's from today, otherwise a fresh day
+    static usageFor(usage, date = new Date()) {
+        const today = localDayKey(date);
+        return usage?.date === today ? usage : { date: today, byKey: {} };
+    }
+
+    // Milliseconds of the allowance left today, never below zero
+    static remaining(budget, usage) {
+        return Math.max(0, budget.minutes * 60 * 1000 - (usage.byKey[budget.key] || 0));
+    }
+
+    static describe(budget) {
+        return budget.category ? `category:${budget.category}` : budget.pattern;
+    }
+}
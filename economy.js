@@ -0,0 +1,68 @@
+// economy.js - Coin rates, per-site weights and daily caps, as served by the backend
+//
+// The config comes from GET /api/user/economy/:uuid and looks like:
+//   {
+//     earnRate: 3, drainRate: 4,      coins per 5-second tick before weights
+//     dailyEarnCap: 2000,             coins per local day across all sites, null for none
+//     categories: {
+//       practice: { sites: ['leetcode.com'], earnMultiplier: 2, dailyEarnCap: 600 }
+//     },
+//     sites: [{ pattern: 'wikipedia.org', earnMultiplier: 0.5 }]
+//   }
+// Patterns use the rules.js syntax. A site weight wins over its category's;
+// anything unmatched gets a multiplier of 1.
+
+class CoinEconomy {
+    constructor(config = {}) {
+        this.config = config;
+        this.categories = config.categories || {};
+        this.sites = config.sites || [];
+
+        // Rules carry their list index, which maps back to the config entry
+        this.siteRules = new SiteRules(this.sites.map(site => ({
+            pattern: site.pattern,
+            match: site.match,
+            type: 'neutral'
+        })));
+
+        this.categoryNames = [];
+        this.categoryRules = new SiteRules(Object.entries(this.categories).flatMap(([name, category]) =>
+            (category.sites || []).map(pattern => {
+                this.categoryNames.push(name);
+                return { pattern, type: 'neutral' };
+            })
+        ));
+    }
+
+    weightFor(url) {
+        const siteRule = this.siteRules.match(url);
+        const categoryRule = this.categoryRules.match(url);
+
+        const site = siteRule ? this.sites[siteRule.index] : {};
+        const category = categoryRule ? this.categoryNames[categoryRule.index] : null;
+        const categoryConfig = category ? this.categories[category] : {};
+
+        return {
+            category,
+            earnMultiplier: site.earnMultiplier ?? categoryConfig.earnMultiplier ?? 1,
+            drainMultiplier: site.drainMultiplier ?? categoryConfig.drainMultiplier ?? 1
+        };
+    }
+
+    // How much of `amount` can still be earned today under the overall and
+    // category caps, given { total, byCategory } earned so far
+    capEarnings(amount, category, earnedToday) {
+        let allowed = amount;
+
+        if (Number.isFinite(this.config.dailyEarnCap)) {
+            allowed = Math.min(allowed, this.config.dailyEarnCap - earnedToday.total);
+        }
+
+        const categoryCap = category ? this.categories[category].dailyEarnCap : null;
+        if (Number.isFinite(categoryCap)) {
+            allowed = Math.min(allowed, categoryCap - (earnedToday.byCategory[category] || 0));
+        }
+
+        return Math.max(0, allowed);
+    }
+}
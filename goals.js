@@ -0,0 +1,84 @@
+// goals.js - Session goals, shared by the background engine and popup
+//
+// A goal looks like { type, target }:
+//   duration        stay in the session for `target` minutes
+//   coins           earn `target` coins during the session
+//   maxDistracting  finish with at most `target` minutes on distracting sites
+// Progress is measured against the running session stats the engine keeps:
+// { productiveMs, distractingMs, coinsEarned, coinsLost, sites }.
+
+class SessionGoals {
+    static TYPES = {
+        duration: { label: 'Focus for', unit: 'min' },
+        coins: { label: 'Earn', unit: 'coins' },
+        maxDistracting: { label: 'Distracted at most', unit: 'min' }
+    };
+
+    static emptyStats() {
+        return { productiveMs: 0, distractingMs: 0, coinsEarned: 0, coinsLost: 0, sites: {} };
+    }
+
+    // Returns a cleaned goal, or null for "no goal"
+    static normalize(goal) {
+        if (!goal || !SessionGoals.TYPES[goal.type]) return null;
+
+        const target = Number(goal.target);
+        if (!Number.isFinite(target) || target < 0 || (target === 0 && goal.type !== 'maxDistracting')) return null;
+
+        return { type: goal.type, target };
+    }
+
+    // { current, percent, met, failed } for a goal given the stats and the
+    // session's elapsed time. `met` for maxDistracting only holds once the
+    // session is over; until then it can only fail.
+    static progress(goal, stats, elapsedMs, finished = false) {
+        const minutes = (ms) => ms / 60000;
+
+        switch (goal.type) {
+            case 'duration': {
+                const current = minutes(elapsedMs);
+                return {
+                    current,
+                    percent: Math.min(100, Math.round((current / goal.target) * 100)),
+                    met: current >= goal.target,
+                    failed: finished && current < goal.target
+                };
+            }
+            case 'coins': {
+                const current = stats.coinsEarned;
+                return {
+                    current,
+                    percent: Math.min(100, Math.round((current / goal.target) * 100)),
+                    met: current >= goal.target,
+                    failed: finished && current < goal.target
+                };
+            }
+            case 'maxDistracting': {
+                const current = minutes(stats.distractingMs);
+                const failed = current > goal.target;
+                return {
+                    current,
+                    // How much of the distraction budget is used up
+                    percent: goal.target > 0 ? Math.min(100, Math.round((current / goal.target) * 100)) : (failed ? 100 : 0),
+                    met: finished && !failed,
+                    failed
+                };
+            }
+            default:
+                return { current: 0, percent: 0, met: false, failed: false };
+        }
+    }
+
+    static describe(goal) {
+        const { label, unit } = SessionGoals.TYPES[goal.type];
+        return `${label} ${goal.target} ${unit}`;
+    }
+
+    // Sites sorted by time spent, for the summary
+    static topSites(stats, limit = 5) {
+        return Object.entries(stats.sites)
+            .map(([site, entry]) => ({ site, ...entry }))
+            .sort((a, b) => b.ms - a.ms)
+            .slice(0, limit);
+    }
+}
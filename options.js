@@ -0,0 +1,606 @@
+// options.js - Options page for site lists, schedules, the coin economy, budgets and backend settings
+
+class FocusOptions {
+    constructor() {
+        this.lists = {
+            productiveSites: [],
+            distractingSites: [],
+            neutralSites: []
+        };
+        this.schedules = [];
+        this.maxSchedules = 20; // matches the backend limit
+        this.budgets = [];
+        this.maxBudgets = 50; // matches the backend limit
+        this.maxListSize = 50; // the backend keeps at most 50 patterns per list
+        this.maxRules = 200; // matches the backend limit
+
+        // Inputs whose id matches a key in DEFAULT_SETTINGS
+        this.settingKeys = [
+            'earnRate', 'drainRate',
+            'distractionMode', 'budgetDefaultMinutes', 'commitmentPenalty',
+            'strictBlocking', 'strictAllowList',
+            'idleDetection', 'idleThreshold', 'activityVerification',
+            'pomodoroEnabled', 'pomodoroWork', 'pomodoroShortBreak', 'pomodoroLongBreak', 'pomodoroCycles',
+            'notifyBadges', 'notifyLevelUp', 'notifyStreak', 'notifyLowBalance',
+            'drainOverlay', 'mindfulPause', 'pauseSeconds', 'privacyLevel',
+            'apiBase', 'authStubEmail'
+        ];
+
+        this.initializeElements();
+        this.bindEvents();
+        this.loadData();
+    }
+
+    initializeElements() {
+        this.saveStatusEl = document.getElementById('saveStatus');
+        this.listEls = {
+            productiveSites: document.getElementById('productiveSites'),
+            distractingSites: document.getElementById('distractingSites'),
+            neutralSites: document.getElementById('neutralSites')
+        };
+        this.addForms = document.querySelectorAll('.add-form');
+        this.exportBtn = document.getElementById('exportBtn');
+        this.importFileEl = document.getElementById('importFile');
+        this.resetListsBtn = document.getElementById('resetListsBtn');
+        this.siteListsFieldsEl = document.getElementById('siteListsFields');
+        this.siteListsLockEl = document.getElementById('siteListsLock');
+        this.scheduleListEl = document.getElementById('scheduleList');
+        this.addScheduleBtn = document.getElementById('addScheduleBtn');
+        this.economySummaryEl = document.getElementById('economySummary');
+        this.economyWeightsEl = document.getElementById('economyWeights');
+        this.budgetForm = document.getElementById('budgetForm');
+        this.budgetPatternEl = document.getElementById('budgetPattern');
+        this.budgetMinutesEl = document.getElementById('budgetMinutes');
+        this.budgetListEl = document.getElementById('budgetList');
+        this.devAuthFieldsEl = document.getElementById('devAuthFields');
+
+        this.settingEls = {};
+        this.settingKeys.forEach(key => {
+            this.settingEls[key] = document.getElementById(key);
+        });
+    }
+
+    bindEvents() {
+        this.addForms.forEach(form => {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const input = form.querySelector('input');
+                if (this.addPattern(form.dataset.list, input.value)) {
+                    input.value = '';
+                }
+            });
+        });
+
+        Object.entries(this.settingEls).forEach(([key, el]) => {
+            el.addEventListener('change', () => this.saveSetting(key));
+        });
+
+        this.exportBtn.addEventListener('click', () => this.exportLists());
+        this.importFileEl.addEventListener('change', () => this.importLists());
+        this.resetListsBtn.addEventListener('click', () => this.resetLists());
+        this.addScheduleBtn.addEventListener('click', () => this.addSchedule());
+        // A locked session freezes the lists; follow it as it starts and ends
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && (changes.commitment || changes.sessionActive)) {
+                this.loadCommitment();
+            }
+        });
+
+        this.budgetForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.addBudget(this.budgetPatternEl.value, this.budgetMinutesEl.value)) {
+                this.budgetPatternEl.value = '';
+            }
+        });
+    }
+
+    async loadData() {
+        try {
+            const stored = await chrome.storage.local.get(SiteRules.LIST_KEYS);
+            this.lists.productiveSites = stored.productiveSites || [...SiteRules.DEFAULT_PRODUCTIVE];
+            this.lists.distractingSites = stored.distractingSites || [...SiteRules.DEFAULT_DISTRACTING];
+            this.lists.neutralSites = stored.neutralSites || [];
+            this.renderLists();
+
+            const { focusSchedules } = await getSettings(['focusSchedules']);
+            this.schedules = focusSchedules.map(FocusSchedules.normalize).filter(Boolean);
+            this.renderSchedules();
+
+            const { distractionBudgets } = await getSettings(['distractionBudgets']);
+            this.budgets = distractionBudgets.map(DistractionBudgets.normalize).filter(Boolean);
+            this.renderBudgets();
+
+            const { economyConfig } = await chrome.storage.local.get(['economyConfig']);
+            this.renderEconomy(economyConfig);
+
+            const settings = await getSettings(this.settingKeys);
+            Object.entries(this.settingEls).forEach(([key, el]) => {
+                if (el.type === 'checkbox') {
+                    el.checked = !!settings[key];
+                } else if (Array.isArray(settings[key])) {
+                    el.value = settings[key].join('\n');
+                } else {
+                    el.value = settings[key];
+                }
+            });
+
+            await this.loadCommitment();
+
+            // Offline sign-in is a development aid; store installs never show it
+            const { installType } = await chrome.management.getSelf();
+            this.devAuthFieldsEl.hidden = installType !== 'development';
+
+            // Rules the backend turned down since the page was last open
+            const { siteListsRejected } = await chrome.storage.local.get(['siteListsRejected']);
+            if (siteListsRejected) this.showStatus(`⚠️ ${siteListsRejected}`);
+
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            this.showStatus('⚠️ Could not load settings');
+        }
+    }
+
+    // While a session is locked the site lists and strict blocking can't be
+    // edited; unlock the controls again when the lock runs out
+    async loadCommitment() {
+        const { commitment, sessionActive } = await chrome.storage.local.get(['commitment', 'sessionActive']);
+        const locked = !!(sessionActive && commitment && !commitment.broken && commitment.until > Date.now());
+
+        this.siteListsFieldsEl.disabled = locked;
+        this.settingEls.strictBlocking.disabled = locked;
+        this.settingEls.strictAllowList.disabled = locked;
+        this.siteListsLockEl.style.display = locked ? 'block' : 'none';
+
+        clearTimeout(this.commitmentTimer);
+        if (!locked) return;
+
+        const until = new Date(commitment.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        this.siteListsLockEl.textContent = `🔒 Your focus session is locked until ${until}. Site lists can be edited again after that.`;
+        this.commitmentTimer = setTimeout(() => this.loadCommitment(), commitment.until - Date.now());
+    }
+
+    renderLists() {
+        Object.entries(this.listEls).forEach(([listName, listEl]) => {
+            listEl.replaceChildren(...this.lists[listName].map(pattern => {
+                const item = document.createElement('li');
+                const label = document.createElement('span');
+                label.textContent = pattern;
+
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'remove-btn';
+                removeBtn.title = 'Remove';
+                removeBtn.textContent = '✕';
+                removeBtn.addEventListener('click', () => this.removePattern(listName, pattern));
+
+                item.append(label, removeBtn);
+                return item;
+            }));
+        });
+    }
+
+    addPattern(listName, rawPattern) {
+        const pattern = SiteRules.normalizePattern(rawPattern);
+        if (!pattern) return false;
+
+        if (!SiteRules.compile({ pattern, type: 'productive' })) {
+            this.showStatus(`⚠️ "${pattern}" is not a valid pattern`);
+            return false;
+        }
+
+        if (this.lists[listName].length >= this.maxListSize) {
+            this.showStatus(`⚠️ Lists are limited to ${this.maxListSize} patterns`);
+            return false;
+        }
+
+        // A pattern lives in one list only
+        Object.keys(this.lists).forEach(name => {
+            this.lists[name] = this.lists[name].filter(existing => existing !== pattern);
+        });
+        this.lists[listName].push(pattern);
+
+        this.renderLists();
+        this.saveLists();
+        return true;
+    }
+
+    removePattern(listName, pattern) {
+        this.lists[listName] = this.lists[listName].filter(existing => existing !== pattern);
+        this.renderLists();
+        this.saveLists();
+    }
+
+    async saveLists() {
+        try {
+            await chrome.storage.local.set({
+                productiveSites: this.lists.productiveSites,
+                distractingSites: this.lists.distractingSites,
+                neutralSites: this.lists.neutralSites
+            });
+
+            this.showStatus('Saving...');
+            const response = await chrome.runtime.sendMessage({ action: 'pushSiteLists' });
+
+            if (response.locked) {
+                this.showStatus('🔒 Saved, takes effect once the locked session ends');
+            } else if (response.rejected) {
+                this.showStatus(`⚠️ ${response.rejected}`);
+            } else {
+                this.showStatus(response.synced
+                    ? '✅ Saved and synced'
+                    : '💾 Saved locally, will sync when the backend is reachable');
+            }
+
+        } catch (error) {
+            console.error('Error saving site lists:', error);
+            this.showStatus('⚠️ Could not save site lists');
+        }
+    }
+
+    renderSchedules() {
+        this.scheduleListEl.replaceChildren(...this.schedules.map(schedule => {
+            const item = document.createElement('li');
+
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.checked = schedule.enabled;
+            enabled.title = 'Enabled';
+            enabled.addEventListener('change', () => {
+                schedule.enabled = enabled.checked;
+                this.saveSchedules();
+            });
+
+            const days = document.createElement('div');
+            days.className = 'schedule-days';
+            FocusSchedules.DAY_LABELS.forEach((label, day) => {
+                const dayLabel = document.createElement('label');
+                const dayInput = document.createElement('input');
+                dayInput.type = 'checkbox';
+                dayInput.checked = schedule.days.includes(day);
+                dayInput.addEventListener('change', () => {
+                    const next = dayInput.checked
+                        ? [...schedule.days, day].sort()
+                        : schedule.days.filter(existing => existing !== day);
+
+                    if (next.length === 0) {
+                        dayInput.checked = true;
+                        this.showStatus('⚠️ A schedule needs at least one day');
+                        return;
+                    }
+                    schedule.days = next;
+                    this.saveSchedules();
+                });
+                dayLabel.append(dayInput, label);
+                days.append(dayLabel);
+            });
+
+            const timeInput = (field) => {
+                const input = document.createElement('input');
+                input.type = 'time';
+                input.value = schedule[field];
+                input.addEventListener('change', () => {
+                    const other = field === 'start' ? schedule.end : schedule.start;
+                    if (!FocusSchedules.TIME_PATTERN.test(input.value) || input.value === other) {
+                        input.value = schedule[field];
+                        this.showStatus('⚠️ Start and end must be different times');
+                        return;
+                    }
+                    schedule[field] = input.value;
+                    this.saveSchedules();
+                });
+                return input;
+            };
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'remove-btn';
+            removeBtn.title = 'Remove';
+            removeBtn.textContent = '✕';
+            removeBtn.addEventListener('click', () => {
+                this.schedules = this.schedules.filter(existing => existing !== schedule);
+                this.renderSchedules();
+                this.saveSchedules();
+            });
+
+            item.append(enabled, days, timeInput('start'), '–', timeInput('end'), removeBtn);
+            return item;
+        }));
+    }
+
+    addSchedule() {
+        if (this.schedules.length >= this.maxSchedules) {
+            this.showStatus(`⚠️ Limited to ${this.maxSchedules} schedules`);
+            return;
+        }
+
+        // Weekday mornings are the common case
+        this.schedules.push(FocusSchedules.normalize({
+            days: [1, 2, 3, 4, 5],
+            start: '09:00',
+            end: '12:00'
+        }));
+        this.renderSchedules();
+        this.saveSchedules();
+    }
+
+    async saveSchedules() {
+        try {
+            await chrome.storage.local.set({ focusSchedules: this.schedules });
+
+            this.showStatus('Saving...');
+            const response = await chrome.runtime.sendMessage({ action: 'pushSchedules' });
+
+            this.showStatus(response.synced
+                ? '✅ Saved and synced'
+                : '💾 Saved locally, will sync when the backend is reachable');
+
+        } catch (error) {
+            console.error('Error saving schedules:', error);
+            this.showStatus('⚠️ Could not save schedules');
+        }
+    }
+
+    renderBudgets() {
+        this.budgetListEl.replaceChildren(...this.budgets.map(budget => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = DistractionBudgets.describe(budget);
+
+            const minutes = document.createElement('input');
+            minutes.type = 'number';
+            minutes.min = 0;
+            minutes.max = DistractionBudgets.MAX_MINUTES;
+            minutes.step = 5;
+            minutes.value = budget.minutes;
+            minutes.title = 'Minutes per day';
+            minutes.addEventListener('change', () => {
+                const value = Number(minutes.value);
+                if (!Number.isFinite(value) || value < 0 || value > DistractionBudgets.MAX_MINUTES) {
+                    minutes.value = budget.minutes;
+                    this.showStatus(`⚠️ Budgets are 0 to ${DistractionBudgets.MAX_MINUTES} minutes`);
+                    return;
+                }
+                budget.minutes = value;
+                this.saveBudgets();
+            });
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'remove-btn';
+            removeBtn.title = 'Remove';
+            removeBtn.textContent = '✕';
+            removeBtn.addEventListener('click', () => {
+                this.budgets = this.budgets.filter(existing => existing !== budget);
+                this.renderBudgets();
+                this.saveBudgets();
+            });
+
+            item.append(label, minutes, 'min a day', removeBtn);
+            return item;
+        }));
+    }
+
+    // `entry` is a pattern or 'category:<name>'; an existing budget for the
+    // same target just gets the new minutes
+    addBudget(entry, minutes) {
+        const trimmed = entry.trim();
+        const category = trimmed.match(/^category:(.+)$/i);
+        const budget = DistractionBudgets.normalize(category
+            ? { category: category[1], minutes }
+            : { pattern: SiteRules.normalizePattern(trimmed), minutes });
+
+        if (!budget) {
+            this.showStatus(`⚠️ "${trimmed}" isn't a valid pattern or minute count`);
+            return false;
+        }
+
+        const existing = this.budgets.find(other => DistractionBudgets.describe(other) === DistractionBudgets.describe(budget));
+        if (existing) {
+            existing.minutes = budget.minutes;
+        } else if (this.budgets.length >= this.maxBudgets) {
+            this.showStatus(`⚠️ Limited to ${this.maxBudgets} budgets`);
+            return false;
+        } else {
+            this.budgets.push(budget);
+        }
+
+        this.renderBudgets();
+        this.saveBudgets();
+        return true;
+    }
+
+    async saveBudgets() {
+        try {
+            await chrome.storage.local.set({ distractionBudgets: this.budgets });
+
+            this.showStatus('Saving...');
+            const response = await chrome.runtime.sendMessage({ action: 'pushBudgets' });
+
+            this.showStatus(response.synced
+                ? '✅ Saved and synced'
+                : '💾 Saved locally, will sync when the backend is reachable');
+
+        } catch (error) {
+            console.error('Error saving budgets:', error);
+            this.showStatus('⚠️ Could not save budgets');
+        }
+    }
+
+    // Weights and caps are set on the backend; show them so the rates make sense
+    renderEconomy(config) {
+        if (!config) {
+            this.economySummaryEl.textContent = 'Site weights and daily caps load once the backend is reachable.';
+            return;
+        }
+
+        this.economySummaryEl.textContent = Number.isFinite(config.dailyEarnCap)
+            ? `Earning is capped at ${config.dailyEarnCap} coins a day. Some sites earn or drain faster:`
+            : 'Some sites earn or drain faster:';
+
+        const describe = (weights) => [
+            weights.earnMultiplier !== undefined && `earn ×${weights.earnMultiplier}`,
+            weights.drainMultiplier !== undefined && `drain ×${weights.drainMultiplier}`,
+            Number.isFinite(weights.dailyEarnCap) && `max ${weights.dailyEarnCap}/day`
+        ].filter(Boolean).join(', ');
+
+        this.economyWeightsEl.replaceChildren(
+            ...Object.entries(config.categories || {}).map(([name, category]) => {
+                const item = document.createElement('li');
+                item.textContent = `${name} (${describe(category)}): ${(category.sites || []).join(', ')}`;
+                return item;
+            }),
+            ...(config.sites || []).map(site => {
+                const item = document.createElement('li');
+                item.textContent = `${site.pattern}: ${describe(site)}`;
+                return item;
+            })
+        );
+    }
+
+    async saveSetting(key) {
+        const el = this.settingEls[key];
+        let value;
+
+        if (el.type === 'checkbox') {
+            value = el.checked;
+        } else if (el.tagName === 'TEXTAREA') {
+            // One pattern per line; drop anything the rule engine can't compile
+            value = el.value
+                .split('\n')
+                .map(pattern => SiteRules.normalizePattern(pattern))
+                .filter(pattern => pattern && SiteRules.compile({ pattern, type: 'neutral' }));
+            el.value = value.join('\n');
+        } else if (el.type === 'number') {
+            const min = parseFloat(el.min) || 0;
+            value = parseFloat(el.value);
+
+            if (!Number.isFinite(value)) {
+                value = DEFAULT_SETTINGS[key];
+            }
+            value = Math.max(min, value);
+            el.value = value;
+        } else {
+            value = el.value.trim().replace(/\/+$/, '') || DEFAULT_SETTINGS[key];
+            el.value = value;
+        }
+
+        try {
+            await chrome.storage.local.set({ [key]: value });
+            this.showStatus('✅ Saved');
+
+            // Base rates, the privacy level and budget mode live on the backend too
+            const pushAction = {
+                earnRate: 'pushEconomy',
+                drainRate: 'pushEconomy',
+                privacyLevel: 'pushPrivacy',
+                distractionMode: 'pushBudgets',
+                budgetDefaultMinutes: 'pushBudgets'
+            }[key];
+            if (pushAction) {
+                const response = await chrome.runtime.sendMessage({ action: pushAction });
+                this.showStatus(response.synced
+                    ? '✅ Saved and synced'
+                    : '💾 Saved locally, will sync when the backend is reachable');
+            }
+        } catch (error) {
+            console.error(`Error saving ${key}:`, error);
+            this.showStatus('⚠️ Could not save setting');
+        }
+    }
+
+    async exportLists() {
+        const { siteRules } = await chrome.storage.local.get(['siteRules']);
+        const data = {
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            productiveSites: this.lists.productiveSites,
+            distractingSites: this.lists.distractingSites,
+            neutralSites: this.lists.neutralSites,
+            siteRules: siteRules || []
+        };
+
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'focuscoin-sites.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    async importLists() {
+        const file = this.importFileEl.files[0];
+        if (!file) return;
+
+        try {
+            const data = JSON.parse(await file.text());
+            const cleanList = (list) => Array.isArray(list)
+                ? [...new Set(list
+                    .filter(pattern => typeof pattern === 'string')
+                    .map(pattern => SiteRules.normalizePattern(pattern))
+                    .filter(pattern => pattern && SiteRules.compile({ pattern, type: 'productive' })))]
+                    .slice(0, this.maxListSize)
+                : null;
+
+            const productiveSites = cleanList(data.productiveSites);
+            const distractingSites = cleanList(data.distractingSites);
+
+            if (!productiveSites || !distractingSites) {
+                throw new Error('File must contain productiveSites and distractingSites arrays');
+            }
+
+            // Neutral lists are optional, older exports don't have one
+            this.lists = { productiveSites, distractingSites, neutralSites: cleanList(data.neutralSites) || [] };
+            let skippedRules = 0;
+            if (Array.isArray(data.siteRules)) {
+                const siteRules = this.cleanRules(data.siteRules);
+                skippedRules = data.siteRules.length - siteRules.length;
+                await chrome.storage.local.set({ siteRules });
+            }
+
+            this.renderLists();
+            await this.saveLists();
+            if (skippedRules > 0) {
+                this.showStatus(`⚠️ Imported, but skipped ${skippedRules} invalid site rule${skippedRules === 1 ? '' : 's'}`);
+            }
+
+        } catch (error) {
+            console.error('Error importing site lists:', error);
+            this.showStatus(`⚠️ Import failed: ${error.message}`);
+        } finally {
+            this.importFileEl.value = '';
+        }
+    }
+
+    // Imported rules get the same checks and cleanup as the backend's, so one
+    // bad rule can't get the whole set rejected on every sync
+    cleanRules(rules) {
+        return rules
+            .map(rule => SiteRules.compile(rule))
+            .filter(rule => rule && rule.pattern.length <= 500)
+            .slice(0, this.maxRules)
+            .map(({ pattern, match, type, priority }) => ({
+                pattern: match === 'regex' ? pattern : pattern.toLowerCase(),
+                match,
+                type,
+                priority
+            }));
+    }
+
+    resetLists() {
+        if (!confirm('Replace your site lists with the defaults?')) return;
+
+        this.lists = {
+            productiveSites: [...SiteRules.DEFAULT_PRODUCTIVE],
+            distractingSites: [...SiteRules.DEFAULT_DISTRACTING],
+            neutralSites: []
+        };
+        this.renderLists();
+        this.saveLists();
+    }
+
+    showStatus(message) {
+        this.saveStatusEl.textContent = message;
+    }
+}
+
+// Initialize options page when DOM loads
+document.addEventListener('DOMContentLoaded', () => {
+    new FocusOptions();
+});
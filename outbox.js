@@ -0,0 +1,170 @@
+// outbox.js - Durable heartbeat queue backed by chrome.storage
+// The service worker can be killed at any time, so every heartbeat is written
+// to storage before it is sent and only removed once the backend acknowledges it.
+
+class HeartbeatOutbox {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'heartbeatOutbox';
+        this.maxSize = options.maxSize || 2000;
+        this.baseDelay = options.baseDelay || 30 * 1000; // first retry after 30 seconds
+        this.maxDelay = options.maxDelay || 60 * 60 * 1000; // never wait more than an hour
+
+        this.state = null;
+        this.inFlight = new Set();
+        this.lock = Promise.resolve();
+    }
+
+    // Serialize storage access so enqueue/ack never interleave
+    withLock(fn) {
+        const run = this.lock.then(fn, fn);
+        this.lock = run.catch(() => {});
+        return run;
+    }
+
+    async load() {
+        if (this.state) return this.state;
+
+        const result = await chrome.storage.local.get([this.storageKey]);
+        this.state = {
+            items: [],
+            attempts: 0,
+            nextAttemptAt: 0,
+            ...(result[this.storageKey] || {})
+        };
+        return this.state;
+    }
+
+    async save() {
+        await chrome.storage.local.set({ [this.storageKey]: this.state });
+    }
+
+    enqueue(heartbeat) {
+        return this.withLock(async () => {
+            const state = await this.load();
+            state.items.push({
+                clientId: crypto.randomUUID(),
+                ...heartbeat
+            });
+
+            if (state.items.length > this.maxSize) {
+                this.compact(state);
+            }
+
+            await this.save();
+            return state.items.length;
+        });
+    }
+
+    // Merge consecutive heartbeats for the same site, then drop the oldest if still over the cap
+    compact(state) {
+        const compacted = [];
+
+        for (const item of state.items) {
+            const previous = compacted[compacted.length - 1];
+
+            if (previous && this.canMerge(previous, item)) {
+                previous.coinsChange = (previous.coinsChange || 0) + (item.coinsChange || 0);
+                previous.duration = (previous.duration || 0) + (item.duration || 0);
+            } else {
+                compacted.push({ ...item });
+            }
+        }
+
+        let dropped = 0;
+        while (compacted.length > this.maxSize) {
+            const index = compacted.findIndex(item => !this.inFlight.has(item.clientId));
+            if (index === -1) break;
+            compacted.splice(index, 1);
+            dropped++;
+        }
+
+        console.log(`Compacted outbox from ${state.items.length} to ${compacted.length} heartbeats` +
+            (dropped > 0 ? ` (dropped ${dropped} oldest)` : ''));
+        state.items = compacted;
+    }
+
+    canMerge(a, b) {
+        return !this.inFlight.has(a.clientId) &&
+            !this.inFlight.has(b.clientId) &&
+            ['focus', 'distract'].includes(a.action) &&
+            a.action === b.action &&
+            a.sessionId === b.sessionId &&
+            a.localDay === b.localDay &&
+            a.site === b.site &&
+            a.siteType === b.siteType;
+    }
+
+    async size() {
+        const state = await this.load();
+        return state.items.length;
+    }
+
+    // Net coin change the backend hasn't acknowledged yet
+    async pendingCoins() {
+        const state = await this.load();
+        return state.items.reduce((sum, item) => sum + (item.coinsChange || 0), 0);
+    }
+
+    async isDue(now = Date.now()) {
+        const state = await this.load();
+        return state.items.length > 0 && now >= state.nextAttemptAt;
+    }
+
+    // Due, and only because an earlier send failed and its backoff has run out
+    async isRetryDue(now = Date.now()) {
+        const state = await this.load();
+        return state.attempts > 0 && await this.isDue(now);
+    }
+
+    // Take the oldest batch and mark it in flight so compaction leaves it alone
+    takeBatch(limit) {
+        return this.withLock(async () => {
+            const state = await this.load();
+            const batch = state.items
+                .filter(item => !this.inFlight.has(item.clientId))
+                .slice(0, limit);
+
+            batch.forEach(item => this.inFlight.add(item.clientId));
+            return batch;
+        });
+    }
+
+    acknowledge(batch) {
+        return this.withLock(async () => {
+            const state = await this.load();
+            const sent = new Set(batch.map(item => item.clientId));
+
+            state.items = state.items.filter(item => !sent.has(item.clientId));
+            state.attempts = 0;
+            state.nextAttemptAt = 0;
+            sent.forEach(id => this.inFlight.delete(id));
+
+            await this.save();
+        });
+    }
+
+    fail(batch) {
+        return this.withLock(async () => {
+            const state = await this.load();
+            batch.forEach(item => this.inFlight.delete(item.clientId));
+
+            // Exponential backoff: 30s, 1m, 2m, 4m ... capped at maxDelay
+            state.attempts++;
+            const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, state.attempts - 1));
+            state.nextAttemptAt = Date.now() + delay;
+
+            await this.save();
+            return delay;
+        });
+    }
+
+    // Forget the backoff window, e.g. when the backend is known to be reachable again
+    resetBackoff() {
+        return this.withLock(async () => {
+            const state = await this.load();
+            state.attempts = 0;
+            state.nextAttemptAt = 0;
+            await this.save();
+        });
+    }
+}
@@ -0,0 +1,173 @@
+// overlay.js - Content script showing the coin drain on distracting pages
+//
+// The background engine pushes a status with each coin update while this tab
+// is draining: { site, balance, coinsPerSecond, coinsLost, secondsLeft, paused, at }.
+// Between updates the numbers are counted down locally. A null status
+// removes the overlay. Dismissing it hides it until the next page load.
+
+(() => {
+    let host = null;
+    let els = null;
+    let status = null;
+    let timer = null;
+    let dismissed = false;
+
+    const styles = `
+        .card {
+            position: fixed;
+            right: 20px;
+            bottom: 20px;
+            z-index: 2147483647;
+            width: 240px;
+            padding: 14px 16px;
+            border-radius: 12px;
+            background: linear-gradient(135deg, #f44336 0%, #b71c1c 100%);
+            color: white;
+            font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            box-shadow: 0 8px 24px rgba(0, 0, 0, 0.3);
+        }
+        .header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            font-weight: 600;
+        }
+        .close {
+            background: none;
+            border: none;
+            color: white;
+            font-size: 14px;
+            cursor: pointer;
+            opacity: 0.8;
+        }
+        .balance {
+            font-size: 26px;
+            font-weight: 700;
+            margin: 6px 0 2px;
+        }
+        .detail {
+            opacity: 0.9;
+        }
+        .back {
+            width: 100%;
+            margin-top: 10px;
+            padding: 8px;
+            border: none;
+            border-radius: 8px;
+            background: white;
+            color: #b71c1c;
+            font-weight: 600;
+            cursor: pointer;
+        }
+        .message {
+            margin-top: 6px;
+            font-size: 12px;
+        }
+    `;
+
+    const create = () => {
+        host = document.createElement('div');
+        const root = host.attachShadow({ mode: 'closed' });
+
+        const style = document.createElement('style');
+        style.textContent = styles;
+
+        const card = document.createElement('div');
+        card.className = 'card';
+
+        const header = document.createElement('div');
+        header.className = 'header';
+        const title = document.createElement('span');
+        title.textContent = '🪙 Draining coins';
+        const close = document.createElement('button');
+        close.className = 'close';
+        close.title = 'Hide';
+        close.textContent = '✕';
+        close.addEventListener('click', () => {
+            dismissed = true;
+            remove();
+        });
+        header.append(title, close);
+
+        const balance = document.createElement('div');
+        balance.className = 'balance';
+        const lost = document.createElement('div');
+        lost.className = 'detail';
+        const left = document.createElement('div');
+        left.className = 'detail';
+
+        const back = document.createElement('button');
+        back.className = 'back';
+        back.textContent = '💪 Take me back to work';
+        back.addEventListener('click', returnToWork);
+
+        const message = document.createElement('div');
+        message.className = 'message';
+
+        card.append(header, balance, lost, left, back, message);
+        root.append(style, card);
+        document.documentElement.append(host);
+
+        els = { balance, lost, left, message };
+    };
+
+    const remove = () => {
+        clearInterval(timer);
+        timer = null;
+        host?.remove();
+        host = null;
+        els = null;
+    };
+
+    const formatTime = (seconds) => {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    };
+
+    const render = () => {
+        const elapsed = status.paused ? 0 : (Date.now() - status.at) / 1000;
+        const drained = Math.min(status.balance, Math.floor(elapsed * status.coinsPerSecond));
+        const balance = status.balance - drained;
+
+        els.balance.textContent = `${balance} coins`;
+        els.lost.textContent = `−${status.coinsLost + drained} on ${status.site} this visit`;
+        els.left.textContent = status.secondsLeft === null
+            ? 'Not draining right now'
+            : `Blocked in ${formatTime(Math.max(0, Math.ceil(status.secondsLeft - elapsed)))}`;
+    };
+
+    const update = (next) => {
+        status = next;
+        if (!status) {
+            remove();
+            return;
+        }
+        if (dismissed) return;
+
+        if (!host) create();
+        render();
+        if (!timer) timer = setInterval(render, 1000);
+    };
+
+    async function returnToWork() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'returnToWork' });
+            if (!response.success && els) {
+                els.message.textContent = response.error;
+            }
+        } catch (error) {
+            if (els) els.message.textContent = 'Focus Coin is not responding';
+        }
+    }
+
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message.action === 'drainStatus') update(message.status);
+    });
+
+    // Pick up a drain that was already running when the page loaded
+    chrome.runtime.sendMessage({ action: 'getDrainStatus' })
+        .then(response => update(response?.status || null))
+        .catch(() => {
+            // Extension reloaded underneath the page
+        });
+})();
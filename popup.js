@@ -5,11 +5,20 @@ class FocusPopup {
         this.isActive = false;
         this.sessionStartTime = null;
         this.currentCoins = 0;
+        this.pomodoro = null;
+        this.sessionSource = null;
+        this.siteUnlocks = {};
+        this.sessionGoal = null;
+        this.sessionStats = SessionGoals.emptyStats();
+        this.goalPreselected = false;
+        this.commitment = null;
+        this.breakArmedUntil = 0;
+        this.siteRules = SiteRules.fromSettings();
         
         this.initializeElements();
         this.bindEvents();
         this.loadData();
-        this.updateCurrentSite();
+        this.loadSiteRules().then(() => this.updateCurrentSite());
     }
 
     initializeElements() {
@@ -17,20 +26,95 @@ class FocusPopup {
         this.coinCountEl = document.getElementById('coinCount');
         this.currentSiteEl = document.getElementById('currentSite');
         this.siteTypeEl = document.getElementById('siteType');
+        this.budgetStatusEl = document.getElementById('budgetStatus');
         this.sessionTimerEl = document.getElementById('sessionTimer');
+        this.timerLabelEl = document.getElementById('timerLabel');
         this.startBtn = document.getElementById('startBtn');
         this.stopBtn = document.getElementById('stopBtn');
         this.todayCoinsEl = document.getElementById('todayCoins');
         this.focusStreakEl = document.getElementById('focusStreak');
+        this.productiveSitesEl = document.getElementById('productiveSites');
+        this.distractingSitesEl = document.getElementById('distractingSites');
+        this.settingsBtn = document.getElementById('settingsBtn');
+        this.syncStatusEl = document.getElementById('syncStatus');
+        this.pendingHeartbeatsEl = document.getElementById('pendingHeartbeats');
+        this.syncNowBtn = document.getElementById('syncNowBtn');
+        this.balanceAdjustmentEl = document.getElementById('balanceAdjustment');
+        this.unlockListEl = document.getElementById('unlockList');
+        this.goalPickerEl = document.getElementById('goalPicker');
+        this.goalTypeEl = document.getElementById('goalType');
+        this.goalTargetEl = document.getElementById('goalTarget');
+        this.commitPickerEl = document.getElementById('commitPicker');
+        this.commitMinutesEl = document.getElementById('commitMinutes');
+        this.commitmentStatusEl = document.getElementById('commitmentStatus');
+        this.commitmentLabelEl = document.getElementById('commitmentLabel');
+        this.breakCommitmentBtn = document.getElementById('breakCommitmentBtn');
+        this.goalProgressEl = document.getElementById('goalProgress');
+        this.goalLabelEl = document.getElementById('goalLabel');
+        this.goalFillEl = document.getElementById('goalFill');
+        this.summaryCardEl = document.getElementById('summaryCard');
+        this.summaryTitleEl = document.getElementById('summaryTitle');
+        this.summaryCloseBtn = document.getElementById('summaryCloseBtn');
+        this.summaryGoalEl = document.getElementById('summaryGoal');
+        this.summaryProductiveEl = document.getElementById('summaryProductive');
+        this.summaryDistractingEl = document.getElementById('summaryDistracting');
+        this.summaryCoinsEl = document.getElementById('summaryCoins');
+        this.summarySitesEl = document.getElementById('summarySites');
+        this.accountProfileEl = document.getElementById('accountProfile');
+        this.accountPictureEl = document.getElementById('accountPicture');
+        this.accountNameEl = document.getElementById('accountName');
+        this.accountEmailEl = document.getElementById('accountEmail');
+        this.accountMessageEl = document.getElementById('accountMessage');
+        this.signInBtn = document.getElementById('signInBtn');
+        this.unlinkBtn = document.getElementById('unlinkBtn');
+        this.switchAccountBtn = document.getElementById('switchAccountBtn');
     }
 
     bindEvents() {
         this.startBtn.addEventListener('click', () => this.startSession());
         this.stopBtn.addEventListener('click', () => this.stopSession());
+        this.settingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+        this.syncNowBtn.addEventListener('click', () => this.syncNow());
+        this.summaryCloseBtn.addEventListener('click', () => this.dismissSummary());
+        this.signInBtn.addEventListener('click', () => this.signIn(true));
+        this.switchAccountBtn.addEventListener('click', () => this.signIn(false));
+        this.unlinkBtn.addEventListener('click', () => this.unlinkAccount());
+        this.breakCommitmentBtn.addEventListener('click', () => this.breakCommitment());
         
         // Update display every second
-        setInterval(() => this.updateSessionTimer(), 1000);
-        setInterval(() => this.loadData(), 5000); // Refresh data every 5 seconds
+        setInterval(() => {
+            this.updateSessionTimer();
+            this.updateGoalProgress();
+            this.updateUnlocks();
+            this.updateCommitment();
+        }, 1000);
+        setInterval(() => {
+            // Refresh data every 5 seconds; budget usage moves with every tick
+            this.loadData();
+            this.updateCurrentSite();
+        }, 5000);
+    }
+
+    async loadSiteRules() {
+        const settings = await chrome.storage.local.get(['siteRules', ...SiteRules.LIST_KEYS]);
+        this.siteRules = SiteRules.fromSettings(settings);
+        this.renderSiteLists();
+    }
+
+    renderSiteLists() {
+        const render = (el, type) => {
+            el.replaceChildren(...this.siteRules.rules
+                .filter(rule => rule.type === type)
+                .map(rule => {
+                    const item = document.createElement('span');
+                    item.className = 'site-item';
+                    item.textContent = rule.pattern;
+                    return item;
+                }));
+        };
+
+        render(this.productiveSitesEl, 'productive');
+        render(this.distractingSitesEl, 'distracting');
     }
 
     async loadData() {
@@ -41,35 +125,116 @@ class FocusPopup {
                 'todayCoins', 
                 'focusStreak', 
                 'sessionActive',
-                'sessionStartTime'
+                'sessionStartTime',
+                'heartbeatOutbox',
+                'pomodoro',
+                'sessionSource',
+                'siteUnlocks',
+                'sessionGoal',
+                'sessionStats',
+                'lastSessionSummary',
+                'summarySeenId',
+                'lastGoal',
+                'lastCommitMinutes',
+                'commitment',
+                'balanceAdjustment',
+                'account'
             ]);
 
             this.currentCoins = result.focusCoins || 0;
             this.isActive = result.sessionActive || false;
             this.sessionStartTime = result.sessionStartTime || null;
+            this.pomodoro = result.pomodoro || null;
+            this.sessionSource = result.sessionSource || null;
+            this.siteUnlocks = result.siteUnlocks || {};
+            this.sessionGoal = result.sessionGoal || null;
+            this.sessionStats = result.sessionStats || SessionGoals.emptyStats();
+            this.commitment = result.commitment || null;
+
+            // Preselect the goal and lock used last time, once per popup
+            if (!this.goalPreselected) {
+                if (result.lastGoal) {
+                    this.goalTypeEl.value = result.lastGoal.type;
+                    this.goalTargetEl.value = result.lastGoal.target;
+                }
+                this.commitMinutesEl.value = result.lastCommitMinutes || 0;
+                this.goalPreselected = true;
+            }
+
+            // Show the last summary until it's dismissed
+            const summary = result.lastSessionSummary;
+            if (!this.isActive && summary && summary.sessionId !== result.summarySeenId) {
+                this.renderSummary(summary);
+            }
 
             // Update UI
             this.coinCountEl.textContent = this.currentCoins;
             this.todayCoinsEl.textContent = result.todayCoins || 0;
             this.focusStreakEl.textContent = result.focusStreak || 0;
+            this.updateSyncStatus(result.heartbeatOutbox?.items?.length || 0);
+            this.updateBalanceAdjustment(result.balanceAdjustment);
+            this.renderAccount(result.account);
 
             // Update button states
             if (this.isActive) {
                 this.startBtn.style.display = 'none';
                 this.stopBtn.style.display = 'block';
+                this.goalPickerEl.style.display = 'none';
+                this.commitPickerEl.style.display = 'none';
             } else {
                 this.startBtn.style.display = 'block';
                 this.stopBtn.style.display = 'none';
+                this.goalPickerEl.style.display = 'flex';
+                this.commitPickerEl.style.display = 'flex';
             }
+            this.updateGoalProgress();
+            this.updateCommitment();
 
         } catch (error) {
             console.error('Error loading data:', error);
         }
     }
 
+    updateSyncStatus(pending) {
+        this.pendingHeartbeatsEl.textContent = pending;
+        this.syncStatusEl.style.display = pending > 0 ? 'block' : 'none';
+    }
+
+    // Shown for a few minutes after the backend corrected the balance
+    updateBalanceAdjustment(adjustment) {
+        const recent = adjustment && Date.now() - adjustment.at < 5 * 60 * 1000;
+        this.balanceAdjustmentEl.style.display = recent ? 'block' : 'none';
+        if (!recent) return;
+
+        const sign = adjustment.amount > 0 ? '+' : '−';
+        this.balanceAdjustmentEl.textContent =
+            `⚖️ Synced with server: ${sign}${Math.abs(adjustment.amount)} coins`;
+    }
+
+    async syncNow() {
+        try {
+            this.syncNowBtn.disabled = true;
+            const response = await chrome.runtime.sendMessage({ action: 'flushHeartbeats' });
+            this.updateSyncStatus(response.pending);
+        } catch (error) {
+            console.error('Error syncing heartbeats:', error);
+        } finally {
+            this.syncNowBtn.disabled = false;
+        }
+    }
+
+    selectedGoal() {
+        return SessionGoals.normalize({
+            type: this.goalTypeEl.value,
+            target: this.goalTargetEl.value
+        });
+    }
+
     async startSession() {
         try {
             const now = Date.now();
+            const goal = this.selectedGoal();
+            const commitMinutes = Math.max(0, Math.floor(Number(this.commitMinutesEl.value) || 0));
             
             // Save session state
             await chrome.storage.local.set({
@@ -80,8 +245,12 @@ class FocusPopup {
             // Send message to background script
             await chrome.runtime.sendMessage({
                 action: 'startSession',
-                timestamp: now
+                timestamp: now,
+                goal,
+                commitMinutes
             });
+            await chrome.storage.local.set({ lastGoal: goal, lastCommitMinutes: commitMinutes });
+            this.summaryCardEl.style.display = 'none';
 
             this.isActive = true;
             this.sessionStartTime = now;
@@ -89,6 +258,9 @@ class FocusPopup {
             // Update UI
             this.startBtn.style.display = 'none';
             this.stopBtn.style.display = 'block';
+
+            // Pick up pomodoro state set by the background engine
+            await this.loadData();
             
             console.log('Focus session started');
             
@@ -97,26 +269,36 @@ class FocusPopup {
         }
     }
 
-    async stopSession() {
+    async stopSession(breakCommitment = false) {
         try {
-            // Save session state
-            await chrome.storage.local.set({
-                sessionActive: false,
-                sessionStartTime: null
-            });
-
-            // Send message to background script
-            await chrome.runtime.sendMessage({
-                action: 'stopSession'
+            // Send message to background script; a locked session refuses
+            // unless the penalty was agreed to
+            const response = await chrome.runtime.sendMessage({
+                action: 'stopSession',
+                breakCommitment
             });
+            if (!response?.success) {
+                await this.loadData();
+                return;
+            }
 
             this.isActive = false;
+            this.commitment = null;
             this.sessionStartTime = null;
+            this.sessionGoal = null;
             
             // Update UI
             this.startBtn.style.display = 'block';
             this.stopBtn.style.display = 'none';
+            this.goalPickerEl.style.display = 'flex';
+            this.commitPickerEl.style.display = 'flex';
             this.sessionTimerEl.textContent = '00:00';
+            this.updateGoalProgress();
+            this.updateCommitment();
+
+            if (response?.summary) {
+                this.renderSummary(response.summary);
+            }
             
             console.log('Focus session stopped');
             
@@ -127,16 +309,184 @@ class FocusPopup {
 
     updateSessionTimer() {
         if (!this.isActive || !this.sessionStartTime) {
+            this.timerLabelEl.textContent = 'Session Time:';
             this.sessionTimerEl.textContent = '00:00';
             return;
         }
 
+        // Pomodoro sessions count down to the next phase boundary
+        if (this.pomodoro) {
+            const phaseLabels = {
+                work: '🍅 Focus',
+                shortBreak: '☕ Short Break',
+                longBreak: '🌴 Long Break'
+            };
+            const remaining = Math.max(0, Math.ceil((this.pomodoro.phaseEndsAt - Date.now()) / 1000));
+
+            this.timerLabelEl.textContent = `${phaseLabels[this.pomodoro.phase]} (${this.pomodoro.completed} done):`;
+            this.sessionTimerEl.textContent = this.formatDuration(remaining);
+            return;
+        }
+
         const elapsed = Math.floor((Date.now() - this.sessionStartTime) / 1000);
-        const minutes = Math.floor(elapsed / 60);
-        const seconds = elapsed % 60;
-        
-        this.sessionTimerEl.textContent = 
-            `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+        this.timerLabelEl.textContent = this.sessionSource === 'scheduled' ? '📅 Scheduled Session:' : 'Session Time:';
+        this.sessionTimerEl.textContent = this.formatDuration(elapsed);
+    }
+
+    isLocked() {
+        return this.isActive && !!this.commitment && !this.commitment.broken && this.commitment.until > Date.now();
+    }
+
+    // Stop stays disabled while the session is locked; breaking the lock
+    // takes a second click within a few seconds
+    updateCommitment() {
+        const locked = this.isLocked();
+        this.stopBtn.disabled = locked;
+        this.stopBtn.title = locked ? 'The session is locked' : '';
+        this.commitmentStatusEl.style.display = locked ? 'flex' : 'none';
+        if (!locked) return;
+
+        const remaining = Math.ceil((this.commitment.until - Date.now()) / 1000);
+        this.commitmentLabelEl.textContent = `🔒 Locked · ${this.formatDuration(remaining)} left`;
+        this.breakCommitmentBtn.textContent = Date.now() < this.breakArmedUntil
+            ? `Click again to lose ${this.commitment.penalty} coins`
+            : `Break lock (−${this.commitment.penalty} coins)`;
+    }
+
+    async breakCommitment() {
+        if (Date.now() >= this.breakArmedUntil) {
+            this.breakArmedUntil = Date.now() + 5000;
+            this.updateCommitment();
+            return;
+        }
+
+        this.breakArmedUntil = 0;
+        await this.stopSession(true);
+    }
+
+    updateGoalProgress() {
+        if (!this.isActive || !this.sessionGoal) {
+            this.goalProgressEl.style.display = 'none';
+            return;
+        }
+
+        const elapsed = this.sessionStartTime ? Date.now() - this.sessionStartTime : 0;
+        const progress = SessionGoals.progress(this.sessionGoal, this.sessionStats, elapsed);
+        const status = progress.met ? ' 🎯' : progress.failed ? ' ❌' : '';
+
+        this.goalProgressEl.style.display = 'block';
+        this.goalLabelEl.textContent =
+            `${SessionGoals.describe(this.sessionGoal)}: ${Math.floor(progress.current)} so far${status}`;
+        this.goalFillEl.style.width = `${progress.percent}%`;
+        this.goalFillEl.classList.toggle('failed', progress.failed);
+    }
+
+    renderSummary(summary) {
+        const minutes = (ms) => `${Math.round(ms / 60000)} min`;
+
+        this.summaryTitleEl.textContent = `Session summary · ${minutes(summary.durationMs)}`;
+        const commitment = summary.commitment;
+        this.summaryGoalEl.textContent = [
+            summary.goal && `${summary.goalMet ? '🎯 Goal met' : '❌ Goal missed'}: ${SessionGoals.describe(summary.goal)}`,
+            commitment && (commitment.broken
+                ? `💔 Broke a ${commitment.minutes}-min lock`
+                : `🔒 Kept a ${commitment.minutes}-min lock`)
+        ].filter(Boolean).join(' · ');
+        this.summaryProductiveEl.textContent = minutes(summary.productiveMs);
+        this.summaryDistractingEl.textContent = minutes(summary.distractingMs);
+        this.summaryCoinsEl.textContent = `+${summary.coinsEarned} / -${summary.coinsLost}`;
+
+        this.summarySitesEl.replaceChildren(...summary.topSites.map(site => {
+            const item = document.createElement('li');
+            item.textContent = `${site.site} · ${minutes(site.ms)}`;
+            return item;
+        }));
+
+        this.summaryCardEl.dataset.sessionId = summary.sessionId;
+        this.summaryCardEl.style.display = 'block';
+    }
+
+    async dismissSummary() {
+        this.summaryCardEl.style.display = 'none';
+        await chrome.storage.local.set({ summarySeenId: this.summaryCardEl.dataset.sessionId });
+    }
+
+    renderAccount(account) {
+        this.accountProfileEl.style.display = account ? 'flex' : 'none';
+        this.signInBtn.style.display = account ? 'none' : 'inline';
+        if (!account) return;
+
+        this.accountNameEl.textContent = account.name || account.email;
+        this.accountEmailEl.textContent = account.email || '';
+        this.accountPictureEl.style.display = account.picture ? 'block' : 'none';
+        if (account.picture) this.accountPictureEl.src = account.picture;
+    }
+
+    showAccountMessage(message) {
+        this.accountMessageEl.textContent = message || '';
+        this.accountMessageEl.style.display = message ? 'block' : 'none';
+    }
+
+    // The identity flow runs in the background; the popup may close while
+    // the Google window is open, in which case loadData picks up the result
+    async signIn(link) {
+        this.signInBtn.disabled = true;
+        this.switchAccountBtn.style.display = 'none';
+        this.showAccountMessage('Waiting for Google…');
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'signIn', link });
+
+            if (response.success) {
+                this.showAccountMessage(null);
+                this.renderAccount(response.account);
+                await this.loadData();
+            } else if (response.code === 'already_linked') {
+                this.showAccountMessage('That Google account already has Focus Coin progress. Coins earned on this device stay with the current account.');
+                this.switchAccountBtn.style.display = 'inline';
+            } else {
+                this.showAccountMessage(`⚠️ ${response.error}`);
+            }
+        } catch (error) {
+            console.error('Error signing in:', error);
+            this.showAccountMessage('⚠️ Could not sign in');
+        } finally {
+            this.signInBtn.disabled = false;
+        }
+    }
+
+    async unlinkAccount() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'unlinkAccount' });
+            if (response.success) {
+                this.showAccountMessage(null);
+                this.renderAccount(null);
+            } else {
+                this.showAccountMessage(`⚠️ ${response.error}`);
+            }
+        } catch (error) {
+            console.error('Error unlinking account:', error);
+            this.showAccountMessage('⚠️ Could not unlink');
+        }
+    }
+
+    // Countdown for each site the user bought time on
+    updateUnlocks() {
+        const now = Date.now();
+        const active = Object.entries(this.siteUnlocks).filter(([, expiresAt]) => expiresAt > now);
+
+        this.unlockListEl.style.display = active.length > 0 ? 'block' : 'none';
+        this.unlockListEl.replaceChildren(...active.map(([site, expiresAt]) => {
+            const item = document.createElement('div');
+            item.textContent = `🔓 ${site} ${this.formatDuration(Math.ceil((expiresAt - now) / 1000))}`;
+            return item;
+        }));
+    }
+
+    formatDuration(totalSeconds) {
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
     }
 
     async updateCurrentSite() {
@@ -151,14 +501,16 @@ class FocusPopup {
                 this.currentSiteEl.textContent = domain;
                 
                 // Determine site type
-                const siteType = this.getSiteType(domain);
+                const siteType = this.getSiteType(tab.url);
                 this.siteTypeEl.textContent = siteType.label;
                 this.siteTypeEl.className = `site-type ${siteType.class}`;
+                await this.updateBudgetStatus(siteType.class === 'distracting' ? tab.url : null);
                 
             } else {
                 this.currentSiteEl.textContent = 'Unknown';
                 this.siteTypeEl.textContent = '';
                 this.siteTypeEl.className = 'site-type';
+                await this.updateBudgetStatus(null);
             }
             
         } catch (error) {
@@ -167,28 +519,30 @@ class FocusPopup {
         }
     }
 
-    getSiteType(domain) {
-        // Productive sites (earn coins)
-        const productiveSites = [
-            'github.com', 'stackoverflow.com', 'wikipedia.org', 'leetcode.com',
-            'coursera.org', 'udemy.com', 'edx.org', 'khanacademy.org',
-            'developer.mozilla.org', 'w3schools.com', 'freecodecamp.org'
-        ];
-
-        // Distracting sites (spend coins)
-        const distractingSites = [
-            'youtube.com', 'instagram.com', 'twitter.com', 'facebook.com',
-            'reddit.com', 'tiktok.com', 'netflix.com', 'twitch.tv',
-            'discord.com', 'whatsapp.com'
-        ];
-
-        if (productiveSites.some(site => domain.includes(site))) {
-            return { label: '✅ Productive', class: 'productive' };
-        } else if (distractingSites.some(site => domain.includes(site))) {
-            return { label: '❌ Distracting', class: 'distracting' };
-        } else {
-            return { label: '⚪ Neutral', class: 'neutral' };
-        }
+    // Today's allowance for a distracting site in budget mode
+    async updateBudgetStatus(url) {
+        const settings = await getSettings(['distractionMode', 'distractionBudgets', 'budgetDefaultMinutes']);
+        const { economyConfig, budgetUsage } = await chrome.storage.local.get(['economyConfig', 'budgetUsage']);
+        const budget = url && settings.distractionMode === 'budget'
+            ? new DistractionBudgets(settings.distractionBudgets, settings.budgetDefaultMinutes)
+                .budgetFor(url, new CoinEconomy(economyConfig || {}))
+            : null;
+
+        this.budgetStatusEl.style.display = budget ? 'block' : 'none';
+        if (!budget) return;
+
+        const remainingMinutes = Math.ceil(DistractionBudgets.remaining(budget, DistractionBudgets.usageFor(budgetUsage)) / 60000);
+        this.budgetStatusEl.textContent = `⏳ ${remainingMinutes} of ${budget.minutes} min left today on ${budget.label}`;
+    }
+
+    getSiteType(url) {
+        const labels = {
+            productive: { label: '✅ Productive', class: 'productive' },
+            distracting: { label: '❌ Distracting', class: 'distracting' },
+            neutral: { label: '⚪ Neutral', class: 'neutral' }
+        };
+
+        return labels[this.siteRules.classify(url)];
     }
 }
 
@@ -0,0 +1,248 @@
+// rules.js - Site classification rules shared by the background engine and popup
+//
+// A rule looks like { pattern, match, type, priority }:
+//   exact      'docs.google.com'          only that host
+//   subdomain  'github.com'               the host and any subdomain (gist.github.com)
+//   path       'youtube.com/shorts'       host (and subdomains) plus a path prefix
+//   glob       '*.reddit.com/r/*/comments/*'   '*' wildcards over host + path
+//   regex      '^https://www\.youtube\.com/watch\?v='   tested against the full URL
+// The highest priority wins; ties go to the more specific match type, then the
+// longer pattern, then whichever rule was listed first.
+
+class SiteRules {
+    static MATCH_TYPES = ['exact', 'subdomain', 'path', 'glob', 'regex'];
+    static SITE_TYPES = ['productive', 'distracting', 'neutral'];
+
+    // Tie-breaker when two rules share a priority
+    static SPECIFICITY = { exact: 4, path: 3, regex: 2, glob: 2, subdomain: 1 };
+
+    static DEFAULT_PRODUCTIVE = [
+        'github.com', 'stackoverflow.com', 'wikipedia.org', 'leetcode.com',
+        'coursera.org', 'udemy.com', 'edx.org', 'khanacademy.org',
+        'developer.mozilla.org', 'w3schools.com', 'freecodecamp.org'
+    ];
+
+    static DEFAULT_DISTRACTING = [
+        'youtube.com', 'instagram.com', 'twitter.com', 'facebook.com',
+        'reddit.com', 'tiktok.com', 'netflix.com', 'twitch.tv',
+        'discord.com', 'whatsapp.com'
+    ];
+
+    // Storage keys of the plain lists, one per site type
+    static LIST_KEYS = ['productiveSites', 'distractingSites', 'neutralSites'];
+
+    constructor(rules = []) {
+        this.rules = rules
+            .map((rule, index) => SiteRules.compile(rule, index))
+            .filter(Boolean)
+            .sort((a, b) =>
+                b.priority - a.priority ||
+                SiteRules.SPECIFICITY[b.match] - SiteRules.SPECIFICITY[a.match] ||
+                b.pattern.length - a.pattern.length ||
+                a.index - b.index
+            );
+    }
+
+    // Build the effective rules from stored settings; explicit rules come first
+    // so they win ties against the simple lists. The neutral list carves
+    // exceptions out of broader productive or distracting patterns.
+    static fromSettings({ siteRules, productiveSites, distractingSites, neutralSites } = {}) {
+        return new SiteRules([
+            ...(siteRules || []),
+            ...SiteRules.fromList(neutralSites || [], 'neutral'),
+            ...SiteRules.fromList(productiveSites || SiteRules.DEFAULT_PRODUCTIVE, 'productive'),
+            ...SiteRules.fromList(distractingSites || SiteRules.DEFAULT_DISTRACTING, 'distracting')
+        ]);
+    }
+
+    // Turn plain list entries ('github.com', 'reddit.com/r/programming', '*.substack.com',
+    // '/regex/') into rules, guessing the match type from the pattern's shape
+    static fromList(patterns, type) {
+        return patterns.map(pattern => ({
+            pattern,
+            match: SiteRules.inferMatchType(pattern),
+            type,
+            priority: 0
+        }));
+    }
+
+    static inferMatchType(pattern) {
+        if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) return 'regex';
+        if (pattern.includes('*')) return 'glob';
+        if (pattern.includes('/')) return 'path';
+        return 'subdomain';
+    }
+
+    // How list entries are stored, the same cleanup the backend applies:
+    // lowercase without scheme or www., except regexes, which keep their case
+    static normalizePattern(pattern) {
+        const trimmed = pattern.trim();
+        if (SiteRules.inferMatchType(trimmed) === 'regex') return trimmed;
+
+        return trimmed
+            .toLowerCase()
+            .replace(/^https?:\/\//, '')
+            .replace(/^www\./, '');
+    }
+
+    static normalizeHost(host) {
+        return host.toLowerCase().replace(/^www\./, '');
+    }
+
+    static compile(rule, index) {
+        if (!rule || typeof rule.pattern !== 'string' || !rule.pattern.trim()) return null;
+
+        const match = SiteRules.MATCH_TYPES.includes(rule.match) ? rule.match : SiteRules.inferMatchType(rule.pattern);
+        const type = SiteRules.SITE_TYPES.includes(rule.type) ? rule.type : null;
+        if (!type) return null;
+
+        const compiled = {
+            pattern: rule.pattern.trim(),
+            match,
+            type,
+            priority: Number(rule.priority) || 0,
+            index
+        };
+
+        try {
+            if (match === 'regex') {
+                const source = compiled.pattern.replace(/^\/(.*)\/$/, '$1');
+                compiled.regex = new RegExp(source, 'i');
+            } else if (match === 'glob') {
+                const source = compiled.pattern
+                    .replace(/^https?:\/\//, '')
+                    .replace(/^www\./, '')
+                    .split('*')
+                    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+                    .join('.*');
+                compiled.regex = new RegExp(`^${source}$`, 'i');
+            } else {
+                const [host, ...pathParts] = compiled.pattern.replace(/^https?:\/\//, '').split('/');
+                compiled.host = SiteRules.normalizeHost(host);
+                compiled.path = pathParts.length > 0 ? '/' + pathParts.join('/').toLowerCase() : null;
+            }
+        } catch (error) {
+            console.warn(`Ignoring invalid site rule "${rule.pattern}":`, error.message);
+            return null;
+        }
+
+        return compiled;
+    }
+
+    static parseUrl(url) {
+        try {
+            const parsed = url instanceof URL ? url : new URL(url);
+            const host = SiteRules.normalizeHost(parsed.hostname);
+            // Paths match case-insensitively, like the network rules do
+            return { href: parsed.href, host, path: (parsed.pathname + parsed.search).toLowerCase() };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static matchesHost(host, ruleHost, exact) {
+        return host === ruleHost || (!exact && host.endsWith('.' + ruleHost));
+    }
+
+    // Path prefixes stop at a segment boundary so '/r/programming' doesn't match '/r/programminghumor'
+    static matchesPath(path, prefix) {
+        if (!path.startsWith(prefix)) return false;
+        if (prefix.endsWith('/') || path.length === prefix.length) return true;
+        return ['/', '?', '#'].includes(path[prefix.length]);
+    }
+
+    static test(rule, target) {
+        switch (rule.match) {
+            case 'exact':
+                return SiteRules.matchesHost(target.host, rule.host, true) &&
+                    (!rule.path || SiteRules.matchesPath(target.path, rule.path));
+            case 'subdomain':
+                return SiteRules.matchesHost(target.host, rule.host, false) &&
+                    (!rule.path || SiteRules.matchesPath(target.path, rule.path));
+            case 'path':
+                return SiteRules.matchesHost(target.host, rule.host, false) &&
+                    SiteRules.matchesPath(target.path, rule.path || '/');
+            case 'glob':
+                return rule.regex.test(target.host + target.path);
+            case 'regex':
+                return rule.regex.test(target.href);
+            default:
+                return false;
+        }
+    }
+
+    // Returns the winning rule for a URL, or null when nothing matches
+    match(url) {
+        const target = SiteRules.parseUrl(url);
+        if (!target || !target.host) return null;
+
+        return this.rules.find(rule => SiteRules.test(rule, target)) || null;
+    }
+
+    classify(url) {
+        const rule = this.match(url);
+        return rule ? rule.type : 'neutral';
+    }
+
+    // Translate a compiled rule into a declarativeNetRequest condition. Path
+    // prefixes end at a segment boundary, as in matchesPath: '^' in a urlFilter
+    // matches '/', '?' or the end of the URL.
+    static toNetRequestCondition(rule) {
+        const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const openEnded = rule.path?.endsWith('/');
+
+        switch (rule.match) {
+            case 'subdomain':
+            case 'path':
+                return rule.path
+                    ? { urlFilter: `||${rule.host}${rule.path}${openEnded ? '' : '^'}` }
+                    : { requestDomains: [rule.host] };
+            case 'exact':
+                return {
+                    regexFilter: `^[a-z]+://(www\\.)?${escape(rule.host)}(:[0-9]+)?` +
+                        (rule.path ? escape(rule.path) + (openEnded ? '' : '([/?#]|$)') : '(/|$)')
+                };
+            case 'glob':
+                // Our glob regex is anchored on the host; requests carry a scheme first
+                return { regexFilter: '^[a-z]+://(www\\.)?' + rule.regex.source.slice(1) };
+            case 'regex':
+                return { regexFilter: rule.regex.source };
+            default:
+                return null;
+        }
+    }
+
+    // Build dynamic network rules that mirror classify(): rules are already in
+    // precedence order, so each one gets a lower priority than the one before.
+    // Distracting rules redirect to the blocked page, everything else is an
+    // explicit allow so more specific productive/neutral rules still win.
+    toNetRequestRules({ allowList = [], redirectPath = '/blocked.html', firstId = 1 } = {}) {
+        const allowRules = new SiteRules(SiteRules.fromList(allowList, 'neutral')).rules;
+        const ordered = [...allowRules, ...this.rules];
+
+        return ordered
+            .map((rule, index) => {
+                const condition = SiteRules.toNetRequestCondition(rule);
+                if (!condition) return null;
+
+                return {
+                    priority: ordered.length - index,
+                    action: rule.type === 'distracting'
+                        ? {
+                            type: 'redirect',
+                            redirect: {
+                                extensionPath: `${redirectPath}?site=${encodeURIComponent(rule.pattern)}&strict=1`
+                            }
+                        }
+                        : { type: 'allow' },
+                    condition: {
+                        ...condition,
+                        isUrlFilterCaseSensitive: false,
+                        resourceTypes: ['main_frame', 'sub_frame']
+                    }
+                };
+            })
+            .filter(Boolean)
+            .map((rule, index) => ({ id: firstId + index, ...rule }));
+    }
+}
@@ -0,0 +1,92 @@
+// schedules.js - Recurring focus windows shared by the background engine and options page
+//
+// A schedule looks like { id, days, start, end, enabled }:
+//   days   weekdays the window opens on, 0 = Sunday ... 6 = Saturday
+//   start  local 'HH:MM' the session starts
+//   end    local 'HH:MM' the session stops; an end at or before the start
+//          runs past midnight into the next day
+
+class FocusSchedules {
+    static TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+    static DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    // Returns a cleaned copy of the schedule, or null when it can't be used
+    static normalize(schedule) {
+        if (!schedule || typeof schedule !== 'object') return null;
+
+        const days = Array.isArray(schedule.days)
+            ? [...new Set(schedule.days.map(Number))]
+                .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+                .sort()
+            : [];
+
+        if (days.length === 0) return null;
+        if (!FocusSchedules.TIME_PATTERN.test(schedule.start)) return null;
+        if (!FocusSchedules.TIME_PATTERN.test(schedule.end)) return null;
+        if (schedule.start === schedule.end) return null;
+
+        return {
+            id: typeof schedule.id === 'string' && schedule.id ? schedule.id : crypto.randomUUID(),
+            days,
+            start: schedule.start,
+            end: schedule.end,
+            enabled: schedule.enabled !== false
+        };
+    }
+
+    static minutesOf(time) {
+        const [, hours, minutes] = time.match(FocusSchedules.TIME_PATTERN);
+        return Number(hours) * 60 + Number(minutes);
+    }
+
+    // Concrete { schedule, start, end } windows (as Dates) that open between
+    // the day before `date` and a week after it
+    static occurrences(schedules, date = new Date()) {
+        const windows = [];
+
+        (schedules || []).forEach(raw => {
+            const schedule = FocusSchedules.normalize(raw);
+            if (!schedule || !schedule.enabled) return;
+
+            const startMinutes = FocusSchedules.minutesOf(schedule.start);
+            let endMinutes = FocusSchedules.minutesOf(schedule.end);
+            if (endMinutes <= startMinutes) endMinutes += 24 * 60;
+
+            for (let offset = -1; offset <= 7; offset++) {
+                const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+                if (!schedule.days.includes(day.getDay())) continue;
+
+                const start = new Date(day);
+                start.setMinutes(startMinutes);
+                const end = new Date(day);
+                end.setMinutes(endMinutes);
+
+                windows.push({ schedule, start, end });
+            }
+        });
+
+        return windows;
+    }
+
+    // The window covering `date`, or null. Overlapping windows resolve to the
+    // one that ends last so a session isn't cut short.
+    static activeAt(schedules, date = new Date()) {
+        return FocusSchedules.occurrences(schedules, date)
+            .filter(window => window.start <= date && date < window.end)
+            .sort((a, b) => b.end - a.end)[0] || null;
+    }
+
+    // Time of the next window start or end after `date`, or null with no schedules
+    static nextBoundary(schedules, date = new Date()) {
+        const times = FocusSchedules.occurrences(schedules, date)
+            .flatMap(window => [window.start.getTime(), window.end.getTime()])
+            .filter(time => time > date.getTime());
+
+        return times.length > 0 ? Math.min(...times) : null;
+    }
+
+    static describe(schedule) {
+        const days = schedule.days.map(day => FocusSchedules.DAY_LABELS[day]).join(', ');
+        return `${days} ${schedule.start}–${schedule.end}`;
+    }
+}
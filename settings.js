@@ -0,0 +1,91 @@
+// settings.js - Defaults for user-editable settings, shared by the engine and extension pages
+
+const DEFAULT_SETTINGS = {
+    // Backend
+    apiBase: 'http://localhost:3000/api',
+
+    // Coin economy, per 5-second interval
+    earnRate: 3,
+    drainRate: 4,
+
+    // Idle detection
+    idleDetection: true,
+    idleThreshold: 60, // seconds, chrome.idle minimum is 15
+
+    // Productive sites only earn while the page is in use (activity.js)
+    activityVerification: true,
+
+    // Pomodoro, lengths in minutes
+    pomodoroEnabled: false,
+    pomodoroWork: 25,
+    pomodoroShortBreak: 5,
+    pomodoroLongBreak: 15,
+    pomodoroCycles: 4,
+
+    // Strict blocking: network-level blocking of distracting sites during sessions
+    strictBlocking: false,
+    strictAllowList: [], // patterns that stay reachable even in strict mode
+
+    // Coins it costs to stop a locked (committed) session before the lock ends
+    commitmentPenalty: 50,
+
+    // Recurring focus windows, see schedules.js
+    focusSchedules: [],
+
+    // How distracting sites cost you: 'coins' drains the balance, 'budget'
+    // spends daily minute allowances instead, see budgets.js
+    distractionMode: 'coins',
+    distractionBudgets: [],
+    budgetDefaultMinutes: 15,
+
+    // Overlay on distracting pages showing the drain during a session
+    drainOverlay: true,
+
+    // Mindful pause: opening a distracting site during a session goes
+    // through a short countdown asking why, see blocked.js
+    mindfulPause: false,
+    pauseSeconds: 10,
+
+    // What heartbeats tell the backend about the sites visited:
+    //   full    the full URL
+    //   host    the host only
+    //   hashed  a salted hash of the host; the salt never leaves the browser
+    privacyLevel: 'host',
+
+    // Desktop notifications, one switch per kind
+    notifyBadges: true,
+    notifyLevelUp: true,
+    notifyStreak: true,
+    notifyLowBalance: true,
+
+    // Sign in offline against a backend running AUTH_VERIFIER=stub; leave
+    // empty to sign in with Google. Only honoured in unpacked installs.
+    authStubEmail: '',
+
+    // Timed unlocks sold on the blocked page
+    unlockOptions: [
+        { minutes: 5, cost: 15 },
+        { minutes: 10, cost: 25 },
+        { minutes: 30, cost: 60 }
+    ]
+};
+
+// Local calendar day as YYYY-MM-DD, optionally shifted by whole days, so
+// daily counters roll over at the user's midnight rather than UTC's
+function localDayKey(date = new Date(), dayOffset = 0) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + dayOffset);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+}
+
+// Read settings from storage, falling back to the defaults for anything unset
+async function getSettings(keys = Object.keys(DEFAULT_SETTINGS)) {
+    const stored = await chrome.storage.local.get(keys);
+    const settings = {};
+
+    keys.forEach(key => {
+        settings[key] = stored[key] === undefined ? DEFAULT_SETTINGS[key] : stored[key];
+    });
+
+    return settings;
+}